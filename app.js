@@ -5,15 +5,19 @@ const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const uuid = require('uuid');
 const dotenv = require('dotenv');
+const winston = require('winston');
 const YieldPredictionModel = require('./models/yield.predition.model');
+const ModelStore = require('./models/model.store');
 const { validateRequest } = require('./middleware/request.validator');
 const errorHandler = require('./middleware/error.handler');
+const { ModelError, NotFoundError, ValidationError } = require('./utils/errors');
 const monitoring = require('./utils/monitoring');
 const config = require('./config/config');
 
 const { initializeEarthEngine } = require('./config/earth.engine');
 const vegetationIndexRoutes = require('./routes/vegetation.index.routes');
 const boreholeSitesRoutes = require('./routes/borehole.sites.routes');
+const wofostRoutes = require('./routes/wofost.routes');
 
 dotenv.config();
 
@@ -61,8 +65,9 @@ app.use((req, res, next) => {
     next();
 });
 
-// Initialize prediction model
+// Initialize prediction model with on-disk persistence
 const model = new YieldPredictionModel(config.model);
+model.setModelStore(new ModelStore(config.modelStore.path));
 
 // API Routes for v1
 // Health check endpoint for monitoring
@@ -84,18 +89,58 @@ apiV1Router.get('/api-docs', (req, res) => {
                 method: 'POST',
                 description: 'Train model for specific field and crop type',
                 requiredFields: ['fieldId', 'cropType', 'historicalData'],
-                optionalFields: ['modelType']
+                optionalFields: ['modelType', 'activate', 'explain'],
+                modelTypes: ['randomForest', 'gradientBoosting', 'ensemble']
+            },
+            '/train/pooled': {
+                method: 'POST',
+                description: 'Train a model pooled across all fields of a crop, optionally per province; /predict falls back to it when a field model is missing or under-trained',
+                requiredFields: ['cropType', 'historicalData'],
+                optionalFields: ['region', 'byRegion', 'modelType', 'activate', 'explain']
             },
             '/cross-validate': {
                 method: 'POST',
-                description: 'Perform cross-validation on historical data',
+                description: 'Perform k-fold, time-series or season-blocked cross-validation on historical data',
                 requiredFields: ['fieldId', 'cropType', 'historicalData'],
-                optionalFields: ['k']
+                optionalFields: ['k', 'strategy'],
+                strategies: ['kfold', 'timeSeries', 'season']
+            },
+            '/models': {
+                method: 'GET',
+                description: 'List stored field models with crop type, features, training time, data hash and metrics'
+            },
+            '/models/:fieldId': {
+                methods: ['GET', 'DELETE'],
+                description: 'Get the active model for a field, or delete all of its versions'
+            },
+            '/models/:fieldId/versions': {
+                method: 'GET',
+                description: 'List every trained version of a field model with its cross-validation metrics'
+            },
+            '/models/:fieldId/versions/compare': {
+                method: 'GET',
+                description: 'Compare the metrics of two versions',
+                requiredQuery: ['from', 'to']
+            },
+            '/models/:fieldId/versions/:version/promote': {
+                method: 'POST',
+                description: 'Make a version the active model used by /predict'
+            },
+            '/models/:fieldId/rollback': {
+                method: 'POST',
+                description: 'Reactivate the version preceding the active one'
             },
             '/predict': {
                 method: 'POST',
-                description: 'Predict yield for given daily data',
-                requiredFields: ['fieldId', 'cropType', 'dailyData']
+                description: 'Predict yield for given daily data, blending every model trained for the field and returning a prediction interval. dailyData may be the season\'s date-ordered daily records ending on the current day, enabling season-long features. Records with a GeoJSON polygon (or location) get day length and season progress for the field\'s latitude and province',
+                requiredFields: ['fieldId', 'cropType', 'dailyData'],
+                optionalFields: ['explain']
+            },
+            '/predict/batch': {
+                method: 'POST',
+                description: 'Predict yield for many fields concurrently; each item gets its own result or error, so one failure does not abort the batch',
+                requiredFields: ['items[].fieldId', 'items[].cropType', 'items[].dailyData'],
+                optionalFields: ['explain']
             },
             '/vegetation/analyze': {
                 method: 'POST',
@@ -119,7 +164,45 @@ apiV1Router.get('/api-docs', (req, res) => {
                     },
                     startDate: 'ISO date string',
                     endDate: 'ISO date string',
-                    source: 'sentinel2a | planet | intercalibrated'
+                    source: 'sentinel2a | planet | intercalibrated | landsat (Landsat 8/9 Collection 2 Level-2, every sentinel2a index except NDRE and CIrededge)',
+                    cloudMask: 'sentinel2a per-pixel mask: scl (default) | qa60 | s2cloudless; landsat always masks from QA_PIXEL',
+                    maxCloudCover: 'sentinel2a and landsat scene cloud percentage, 0-100 (default 80)',
+                    minClearFraction: 'sentinel2a and landsat share of the polygon that must be clear, 0-1 (default 0.5); the clearest scene is used'
+                }
+            },
+            '/vegetation/timeseries': {
+                method: 'POST',
+                description: 'Per-acquisition mean, median and standard deviation of each vegetation index across every usable scene in the period, with optional smoothing of the mean',
+                requiredFields: [
+                    'polygon.type',
+                    'polygon.geometry.type',
+                    'polygon.geometry.coordinates',
+                    'startDate',
+                    'endDate'
+                ],
+                optionalFields: ['source', 'indices', 'cloudMask', 'maxCloudCover', 'minClearFraction', 'smoothing'],
+                payload: {
+                    polygon: {
+                        type: 'Feature',
+                        properties: {},
+                        geometry: {
+                            type: 'Polygon',
+                            coordinates: '[[[number, number], ...]]'
+                        }
+                    },
+                    startDate: 'ISO date string',
+                    endDate: 'ISO date string',
+                    source: 'sentinel2a (default)',
+                    indices: 'Array of NDVI | GNDVI | RGR | NDRE | IPVI | SAVI | OSAVI | CIgreen | CIrededge (default all)',
+                    cloudMask: 'Per-pixel cloud and shadow mask: scl (default) | qa60 | s2cloudless',
+                    maxCloudCover: 'Scene cloud percentage, 0-100 (default 80)',
+                    minClearFraction: 'Share of the polygon that must be clear for a scene to be used, 0-1 (default 0.5)',
+                    smoothing: {
+                        method: 'savitzky-golay | whittaker',
+                        windowSize: 'Savitzky-Golay observations per fit (default 5)',
+                        polynomialOrder: 'Savitzky-Golay polynomial order (default 2)',
+                        lambda: 'Whittaker smoothness (default 1000)'
+                    }
                 }
             },
             '/borehole/sites/analyze': {
@@ -146,22 +229,166 @@ apiV1Router.get('/api-docs', (req, res) => {
                     endDate: 'ISO date string',
                     source: 'sentinel2a | planet | intercalibrated'
                 }
+            },
+            '/simulate/wofost': {
+                method: 'POST',
+                description: 'Run the WOFOST crop growth model from the planting date and return the daily history and final results, including soil water fluxes (runoff, drainage, capillary rise), the irrigation events applied, dated emergence/flowering/maturity events, water stress per crop stage and a harvest-index grain yield. Pass daily weather, or a field polygon to fetch weather for its centroid from the configured provider (Open-Meteo archive or recorded CSVs)',
+                requiredFields: ['soil', 'management.plantingDate', 'weather or polygon'],
+                optionalFields: ['cropProfile', 'crop', 'management.irrigation', 'management.irrigationRules', 'management.productionLevel', 'management.fertilization', 'location', 'maxDays'],
+                payload: {
+                    cropProfile: 'Profile name or name@version from /simulate/crop-profiles (default generic)',
+                    crop: 'Crop parameter overrides, e.g. { maturityTSum: 1800, RUE: 1.8, harvestIndex: 0.5, harvestIndexSensitivity: 0.8, grainMoisture: 0.125, stressStages: [{ name, untilStage }] }',
+                    soil: {
+                        fieldCapacity: 'mm (single bucket, ignored with soilLayers)',
+                        wiltingPoint: 'mm (single bucket)',
+                        saturation: 'mm (single bucket)',
+                        initialWaterContent: 'mm (single bucket)',
+                        soilLayers: '[{ thickness (m), fieldCapacity, wiltingPoint, saturation, initialWaterContent? (m³/m³), ksat? (mm/day) }]',
+                        maxRootingDepth: 'm',
+                        curveNumber: 'SCS runoff curve number (default 75)',
+                        groundwaterDepth: 'm, enables capillary rise',
+                        nutrients: '{ N|P|K: { initial (kg/ha), mineralization (kg/ha/day) } }, used when nutrient-limited'
+                    },
+                    management: {
+                        plantingDate: 'ISO date string',
+                        irrigation: '[{ date, amount (mm) }]',
+                        irrigationRules: '{ mode: depletion | interval | deficit, threshold?, intervalDays?, amount?, stages?: [{ untilStage, threshold, refill }], seasonalBudget? (mm), maxApplication? (mm), stopAtStage? }',
+                        productionLevel: 'potential | water-limited (default) | nutrient-limited',
+                        fertilization: '[{ type: basal | top-dress, date (defaults to planting for basal), N, P, K (kg/ha), recovery? }]'
+                    },
+                    weather: '[{ date, Tmin, Tmax, solarRadiation, rainfall, ET0?, humidity?, windSpeed?, CO2? }]',
+                    polygon: 'GeoJSON Feature with Polygon geometry',
+                    location: { latitude: 'degrees, needed when ET0 is omitted', elevation: 'm' },
+                    maxDays: 'number'
+                }
+            },
+            '/simulate/wofost/scenarios': {
+                method: 'POST',
+                description: 'Run WOFOST for every combination of variety, planting date and irrigation schedule over several weather years, and rank the combinations by storage organ yield (mean, P10, P90). Add ?format=csv for a CSV of scenarios, or &level=runs for one row per season',
+                requiredFields: ['soil', 'plantingDates', 'years', 'weather or polygon'],
+                optionalFields: ['cropProfiles', 'crop', 'management', 'irrigationSchedules', 'location', 'maxDays', 'rankBy', 'top'],
+                payload: {
+                    cropProfiles: 'Varieties as crop profile names (default [generic])',
+                    plantingDates: '[MM-DD], planted in each of the years',
+                    years: '[number]',
+                    irrigationSchedules: '[{ name, events?: [{ daysAfterPlanting, amount (mm) }], rules?: irrigationRules as for /simulate/wofost }] (default rainfed)',
+                    management: '{ productionLevel, fertilization: [{ type, daysAfterPlanting, N, P, K }] }',
+                    rankBy: 'mean (default) | p10 | p50 | p90',
+                    top: 'number of recommendations (default 3)'
+                }
+            },
+            '/simulate/wofost/assimilate': {
+                method: 'POST',
+                description: 'Correct the WOFOST simulation with observed LAI or NDVI using an ensemble Kalman filter, returning the open-loop and assimilated trajectories',
+                requiredFields: ['soil', 'management.plantingDate', 'weather or polygon', 'observations'],
+                optionalFields: ['cropProfile', 'crop', 'location', 'maxDays', 'ensembleSize', 'seed', 'observationError', 'perturbations', 'maxRelativeUpdate', 'ndvi'],
+                payload: {
+                    observations: '[{ date, lai } or { date, ndvi }]',
+                    ensembleSize: 'number of members, 5-100 (default 30)',
+                    seed: 'random seed for reproducible ensembles (default 42)',
+                    observationError: 'relative LAI error (default 0.15)',
+                    perturbations: 'relative standard deviation per crop parameter (default { RUE: 0.1, specificLeafArea: 0.1, initialBiomass: 0.2 })',
+                    maxRelativeUpdate: 'largest change of LAI or a biomass pool in one update as a share of its ensemble mean (default 0.5); capped updates are reported in warnings',
+                    ndvi: '{ k, ndviSoil, ndviMax } for converting NDVI to LAI'
+                }
+            },
+            '/simulate/wofost/calibrate': {
+                method: 'POST',
+                description: 'Fit crop parameters to observed yields and flowering/maturity dates with seeded differential evolution; returns crop overrides for the profile, goodness of fit before and after, and warnings for parameters fitted at a bound of their range',
+                requiredFields: ['parameters', 'records'],
+                optionalFields: ['cropProfile', 'crop', 'weights', 'populationSize', 'generations', 'seed'],
+                payload: {
+                    parameters: '[{ name, min?, max? }], e.g. floweringTSum, maturityTSum, RUE, specificLeafArea or partitioning.organs (default range ±30%)',
+                    records: '[{ id?, soil, management, weather or polygon, location?, observed: { yield (kg/ha), floweringDate, maturityDate } }]',
+                    weights: '{ yield, phenology } (default 1 each)',
+                    populationSize: 'number (default 15)',
+                    generations: 'number (default 30)',
+                    seed: 'number (default 42)'
+                }
+            },
+            '/simulate/wofost/seasons': {
+                methods: ['POST', 'GET'],
+                description: 'Start an in-season WOFOST run for a field from its planting date and checkpoint it, or list the stored seasons',
+                requiredFields: ['seasonId', 'soil', 'management.plantingDate', 'weather or polygon'],
+                optionalFields: ['fieldId', 'cropProfile', 'crop', 'location'],
+                payload: {
+                    seasonId: 'unique id of letters, digits, _, . and -',
+                    weather: 'weather from the planting date available so far',
+                    polygon: 'field polygon; later weather is fetched for it when the season is advanced'
+                }
+            },
+            '/simulate/wofost/seasons/advance': {
+                method: 'POST',
+                description: 'Advance every unfinished season that has a polygon up to the latest available weather (for a daily cron)'
+            },
+            '/simulate/wofost/seasons/:seasonId': {
+                methods: ['GET', 'DELETE'],
+                description: 'Get the current state of a season, or delete its checkpoint. Add ?forecastYears=2019,2020 to forecast the final yield by completing the season with those years\' weather, and ?history=true for the daily history',
+                optionalQuery: ['forecastYears', 'history']
+            },
+            '/simulate/wofost/seasons/:seasonId/advance': {
+                method: 'POST',
+                description: 'Continue a season with newly arrived weather; days already simulated are skipped',
+                optionalFields: ['weather'],
+                payload: {
+                    weather: '[{ date, Tmin, Tmax, solarRadiation, rainfall, ET0? }] (default: fetched for the season polygon)'
+                }
+            },
+            '/simulate/wofost/weather/import': {
+                method: 'POST',
+                description: 'Convert a CABO, NASA POWER daily CSV, AgERA5 CSV or WOFOST weather sheet (saved as CSV) to WOFOST weather: units are converted, implausible values rejected, gaps filled by interpolation or the same dates in other years, ET0 computed, and a validation report returned. With record: true the weather is saved for the file weather provider',
+                requiredFields: ['content'],
+                optionalFields: ['format', 'location', 'maxInterpolationDays', 'record'],
+                payload: {
+                    content: 'file content as text',
+                    format: 'cabo | nasa-power | agera5 | wofost-sheet (detected when omitted)',
+                    location: '{ latitude, longitude, elevation } overriding the site in the file',
+                    maxInterpolationDays: 'longest gap filled by linear interpolation (default 5)',
+                    record: 'save under WEATHER_DATA_PATH for WEATHER_PROVIDER=file (default false)'
+                }
+            },
+            '/simulate/crop-profiles': {
+                method: 'GET',
+                description: 'List the built-in WOFOST crop profiles with their versions'
             }
         }
     });
 });
 
+// Explanations are requested with `explain: true` in the body or `?explain=true`
+const isExplainRequested = (req) => req.body.explain === true || req.query.explain === 'true';
+
+// Per-item errors mirror errorHandler: known errors keep their message, anything else is masked
+const BATCH_ERROR_STATUS = { ValidationError: 400, NotFoundError: 404, ModelError: 422 };
+
+const batchLogger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    transports: [
+        new winston.transports.File({ filename: 'yield-prediction-batch.log' })
+    ]
+});
+const describeBatchError = (error) => {
+    const status = BATCH_ERROR_STATUS[error?.name];
+    if (!status) {
+        batchLogger.error('Batch item error', { error: error?.message, stack: error?.stack });
+        return { status: 500, message: 'Internal server error' };
+    }
+    return { status, type: error.name, message: error.message };
+};
+
 // Model training endpoint
 apiV1Router.post('/train',
     validateRequest(['fieldId', 'cropType', 'historicalData']),
     async (req, res, next) => {
         try {
-            const { fieldId, cropType, historicalData, modelType } = req.body;
+            const { fieldId, cropType, historicalData, modelType, activate } = req.body;
             const trainResult = await model.trainModel(
                 fieldId,
                 historicalData,
                 cropType,
-                modelType || 'randomForest'
+                modelType || 'randomForest',
+                { activate: activate !== false, explain: isExplainRequested(req) }
             );
 
             if (!trainResult.success) {
@@ -175,17 +402,38 @@ apiV1Router.post('/train',
     }
 );
 
+// Pooled crop model training endpoint
+apiV1Router.post('/train/pooled',
+    validateRequest(['cropType', 'historicalData']),
+    async (req, res, next) => {
+        try {
+            const { cropType, historicalData, region, byRegion, modelType, activate } = req.body;
+            const trainResult = await model.trainPooledModel(cropType, historicalData, {
+                region,
+                byRegion: Boolean(byRegion),
+                modelType: modelType || 'randomForest',
+                activate: activate !== false,
+                explain: isExplainRequested(req)
+            });
+            res.json(trainResult);
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
 // Cross-validation endpoint for model evaluation
 apiV1Router.post('/cross-validate',
     validateRequest(['fieldId', 'cropType', 'historicalData']),
     async (req, res, next) => {
         try {
-            const { fieldId, cropType, historicalData, k } = req.body;
+            const { fieldId, cropType, historicalData, k, strategy } = req.body;
             const result = await model.crossValidate(
                 fieldId,
                 historicalData,
                 cropType,
-                k || 5
+                k || 5,
+                strategy || 'kfold'
             );
             res.json(result);
         } catch (error) {
@@ -203,7 +451,8 @@ apiV1Router.post('/predict',
             const prediction = await model.predictYieldEnsemble(
                 fieldId,
                 dailyData,
-                cropType
+                cropType,
+                { explain: isExplainRequested(req) }
             );
             res.json(prediction);
         } catch (error) {
@@ -212,15 +461,123 @@ apiV1Router.post('/predict',
     }
 );
 
+// Batch yield prediction endpoint
+apiV1Router.post('/predict/batch',
+    validateRequest(['items']),
+    async (req, res, next) => {
+        try {
+            const { items } = req.body;
+            if (!Array.isArray(items) || !items.length) {
+                throw new ValidationError('items must be a non-empty array');
+            }
+            if (items.length > config.predictBatch.maxItems) {
+                throw new ValidationError(`items must not contain more than ${config.predictBatch.maxItems} entries`);
+            }
+
+            const settled = await model.predictBatch(items, {
+                concurrency: config.predictBatch.concurrency,
+                explain: isExplainRequested(req)
+            });
+            const results = settled.map((result, index) => result.status === 'fulfilled'
+                ? { index, success: true, ...result.value }
+                : { index, fieldId: items[index]?.fieldId, success: false, error: describeBatchError(result.reason) });
+            const succeeded = results.filter(result => result.success).length;
+
+            res.json({
+                total: results.length,
+                succeeded,
+                failed: results.length - succeeded,
+                results,
+                timestamp: new Date()
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// Stored model listing
+apiV1Router.get('/models', (req, res) => {
+    res.json({ models: model.listModels() });
+});
+
+apiV1Router.get('/models/:fieldId', (req, res, next) => {
+    try {
+        const info = model.describeModel(req.params.fieldId);
+        if (!info) {
+            throw new NotFoundError(`Model not found for fieldId: ${req.params.fieldId}`);
+        }
+        res.json(info);
+    } catch (error) {
+        next(error);
+    }
+});
+
+apiV1Router.delete('/models/:fieldId', async (req, res, next) => {
+    try {
+        const deleted = await model.deleteModel(req.params.fieldId);
+        if (!deleted) {
+            throw new NotFoundError(`Model not found for fieldId: ${req.params.fieldId}`);
+        }
+        res.json({ fieldId: req.params.fieldId, deleted: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Model versioning
+apiV1Router.get('/models/:fieldId/versions', (req, res, next) => {
+    try {
+        res.json({ fieldId: req.params.fieldId, versions: model.listVersions(req.params.fieldId) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+apiV1Router.get('/models/:fieldId/versions/compare', (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+        if (!from || !to) {
+            throw new ValidationError('Missing required query parameters: from, to');
+        }
+        res.json(model.compareVersions(req.params.fieldId, from, to));
+    } catch (error) {
+        next(error);
+    }
+});
+
+apiV1Router.post('/models/:fieldId/versions/:version/promote', async (req, res, next) => {
+    try {
+        res.json(await model.promoteVersion(req.params.fieldId, req.params.version));
+    } catch (error) {
+        next(error);
+    }
+});
+
+apiV1Router.post('/models/:fieldId/rollback', async (req, res, next) => {
+    try {
+        res.json(await model.rollbackModel(req.params.fieldId));
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Mount v1 router
 app.use('/api/v1', apiV1Router);
 
+// Mount crop simulation routes
+app.use('/api/v1/simulate', wofostRoutes);
+
 // Global error handling middleware
 app.use(errorHandler);
 
 // Main server initialization function
 const startServer = async () => {
     try {
+        // Reload persisted field models
+        const loadedModels = await model.loadModels();
+        console.log(`Loaded ${loadedModels} stored yield model(s) from ${config.modelStore.path}`);
+
         // Initialize Earth Engine
         await initializeEarthEngine();
         console.log('Earth Engine initialized successfully');
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
     port: process.env.PORT || 3000,
@@ -13,13 +14,34 @@ const config = {
         seed: parseInt(process.env.SEED) || 42,
         rollingWindowSize: parseInt(process.env.ROLLING_WINDOW_SIZE) || 7
     },
+    predictBatch: {
+        concurrency: parseInt(process.env.PREDICT_BATCH_CONCURRENCY) || 4,
+        maxItems: parseInt(process.env.PREDICT_BATCH_MAX_ITEMS) || 500
+    },
+    wofostScenarios: {
+        maxRuns: parseInt(process.env.WOFOST_SCENARIO_MAX_RUNS) || 500
+    },
+    wofostCalibration: {
+        maxSimulations: parseInt(process.env.WOFOST_CALIBRATION_MAX_SIMULATIONS) || 20000
+    },
+    weather: {
+        provider: process.env.WEATHER_PROVIDER || 'openmeteo', // 'openmeteo' or 'file'
+        dataPath: process.env.WEATHER_DATA_PATH || path.join(process.cwd(), 'weather-data'),
+        archiveUrl: process.env.WEATHER_ARCHIVE_URL || 'https://archive-api.open-meteo.com/v1/archive'
+    },
+    modelStore: {
+        path: process.env.MODEL_STORE_PATH || path.join(process.cwd(), 'model-store')
+    },
+    wofostCheckpoints: {
+        path: process.env.WOFOST_CHECKPOINT_PATH || path.join(process.cwd(), 'wofost-checkpoints')
+    },
     rateLimit: {
         windowMs: 15 * 60 * 1000, // 15 minutes
         max: parseInt(process.env.RATE_LIMIT) || 100
     },
     cors: {
         origins: process.env.CORS_ORIGINS?.split(',') || ['http://localhost:3000'],
-        methods: ['GET', 'POST']
+        methods: ['GET', 'POST', 'DELETE']
     },
     gmrtApiUrl: process.env.GMRT_API_URL || 'https://www.gmrt.org:443/services/PointServer',
     meteoApiUrl: process.env.METEO_API_URL || 'https://api.open-meteo.com/v1/elevation',
@@ -1,11 +1,11 @@
 const VegetationIndexServiceSentinet2A = require('../services/vegetation.index.sentinel.service');
 const VegetationIndexServicePlanet = require('../services/vegetation.index.planet.service');
-const VegetationIndexServiceLandsat9 = require('../services/vegetation.index.landsat.service');
+const VegetationIndexServiceLandsat = require('../services/vegetation.index.landsat.service');
 
 class VegetationIndexController {
     static async analyzeRegion(req, res) {
         try {
-            const { polygon, startDate, endDate, source } = req.body;
+            const { polygon, startDate, endDate, source, cloudMask, maxCloudCover, minClearFraction } = req.body;
 
             if (!polygon || !startDate || !endDate || !source) {
                 return res.status(400).json({
@@ -17,14 +17,21 @@ class VegetationIndexController {
             let result;
             switch (source.toLowerCase()) {
                 case 'sentinel2a':
-                    result = await VegetationIndexServiceSentinet2A.calculateIndices(polygon, startDate, endDate);
+                    result = await VegetationIndexServiceSentinet2A.calculateIndices(polygon, startDate, endDate, {
+                        cloudMask,
+                        maxCloudCover,
+                        minClearFraction
+                    });
                     break;
                 case 'planet':
                     result = await VegetationIndexServicePlanet.calculateIndices(polygon, startDate, endDate);
                     break;
                 case 'landsat':
-                        result = await VegetationIndexServiceLandsat9.calculateIndices(polygon, startDate, endDate);
-                        break;    
+                    result = await VegetationIndexServiceLandsat.calculateIndices(polygon, startDate, endDate, {
+                        maxCloudCover,
+                        minClearFraction
+                    });
+                    break;
                 default:
                     return res.status(400).json({
                         error: 'Invalid source',
@@ -41,6 +48,44 @@ class VegetationIndexController {
             });
         }
     }
+
+    static async timeSeries(req, res) {
+        try {
+            const {
+                polygon,
+                startDate,
+                endDate,
+                source = 'sentinel2a',
+                indices,
+                cloudMask,
+                maxCloudCover,
+                minClearFraction,
+                smoothing
+            } = req.body;
+
+            if (source.toLowerCase() !== 'sentinel2a') {
+                return res.status(400).json({
+                    error: 'Invalid source',
+                    message: 'Time series are only available for "sentinel2a"'
+                });
+            }
+
+            const result = await VegetationIndexServiceSentinet2A.calculateTimeSeries(polygon, startDate, endDate, {
+                indices,
+                cloudMask,
+                maxCloudCover,
+                minClearFraction,
+                smoothing
+            });
+            return res.json(result);
+        } catch (error) {
+            console.error('Vegetation Index Time Series Error:', error);
+            return res.status(500).json({
+                error: 'Failed to process Vegetation Index time series',
+                message: error.message
+            });
+        }
+    }
 }
 
-module.exports = VegetationIndexController;
\ No newline at end of file
+module.exports = VegetationIndexController;
@@ -0,0 +1,129 @@
+const WofostSimulationService = require('../services/wofost.simulation.service');
+const WofostScenarioService = require('../services/wofost.scenario.service');
+const WofostAssimilationService = require('../services/wofost.assimilation.service');
+const WofostCalibrationService = require('../services/wofost.calibration.service');
+const WofostSeasonService = require('../services/wofost.season.service');
+const { ValidationError } = require('../utils/errors');
+const { WofostWeatherService } = require('../services/wofost.weather.service');
+const { CROP_LIBRARY_VERSION, listCropProfiles } = require('../utils/wofostCropLibrary');
+
+class WofostController {
+    static async simulate(req, res, next) {
+        try {
+            const result = await WofostSimulationService.simulate(req.body);
+            return res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async compareScenarios(req, res, next) {
+        try {
+            const result = await WofostScenarioService.runScenarios(req.body);
+            if (req.query.format === 'csv') {
+                res.type('text/csv');
+                return res.send(WofostScenarioService.toCSV(result, { level: req.query.level }));
+            }
+            return res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async assimilate(req, res, next) {
+        try {
+            const result = await WofostAssimilationService.assimilate(req.body);
+            return res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async calibrate(req, res, next) {
+        try {
+            const result = await WofostCalibrationService.calibrate(req.body);
+            return res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createSeason(req, res, next) {
+        try {
+            const result = await WofostSeasonService.createSeason(req.body);
+            return res.status(201).json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async listSeasons(req, res, next) {
+        try {
+            const seasons = await WofostSeasonService.listSeasons();
+            return res.json({ seasons });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getSeason(req, res, next) {
+        try {
+            const forecastYears = req.query.forecastYears?.split(',').map(Number);
+            if (forecastYears?.some(year => !Number.isInteger(year))) {
+                throw new ValidationError('forecastYears must be a comma-separated list of years');
+            }
+            const result = await WofostSeasonService.getSeason(req.params.seasonId, {
+                forecastYears,
+                includeHistory: req.query.history === 'true'
+            });
+            return res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async advanceSeason(req, res, next) {
+        try {
+            const result = await WofostSeasonService.advanceSeason(req.params.seasonId, req.body?.weather);
+            return res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async advanceAllSeasons(req, res, next) {
+        try {
+            const results = await WofostSeasonService.advanceAll();
+            return res.json({ results });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteSeason(req, res, next) {
+        try {
+            const result = await WofostSeasonService.deleteSeason(req.params.seasonId);
+            return res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async importWeather(req, res, next) {
+        try {
+            const result = await WofostWeatherService.importWeather(req.body);
+            return res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static listCropProfiles(req, res) {
+        return res.json({
+            libraryVersion: CROP_LIBRARY_VERSION,
+            profiles: listCropProfiles()
+        });
+    }
+}
+
+module.exports = WofostController;
@@ -21,6 +21,8 @@ const errorHandler = (err, req, res, next) => {
             return res.status(400).json(errorResponse);
         case 'ModelError':
             return res.status(422).json(errorResponse);
+        case 'NotFoundError':
+            return res.status(404).json(errorResponse);
         default:
             return res.status(500).json({
                 error: 'Internal server error',
@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const { INDEX_NAMES } = require('../services/vegetation.index.sentinel.service');
+const { SMOOTHING_METHODS } = require('../utils/smoothing');
+const { SENTINEL2_CLOUD_MASKS } = require('../utils/cloud-masking');
 
 const vegetationIndexSchema = Joi.object({
     polygon: Joi.object({
@@ -15,7 +18,10 @@ const vegetationIndexSchema = Joi.object({
     }).required(),
     startDate: Joi.string().isoDate().required(),
     endDate: Joi.string().isoDate().required(),
-    source: Joi.string().valid('sentinel2a', 'planet', 'intercalibrated', 'landsat').required()
+    source: Joi.string().valid('sentinel2a', 'planet', 'intercalibrated', 'landsat').required(),
+    cloudMask: Joi.string().valid(...SENTINEL2_CLOUD_MASKS),
+    maxCloudCover: Joi.number().min(0).max(100),
+    minClearFraction: Joi.number().min(0).max(1)
 });
 
 const boreholeSitesSchema = Joi.object({
@@ -34,4 +40,36 @@ const boreholeSitesSchema = Joi.object({
     source: Joi.string().valid('unspecified').required()
 });
 
-module.exports = { vegetationIndexSchema, boreholeSitesSchema };
\ No newline at end of file
+const vegetationTimeSeriesSchema = Joi.object({
+    polygon: Joi.object({
+        type: Joi.string().valid('Feature').required(),
+        properties: Joi.object().allow({}),
+        geometry: Joi.object({
+            type: Joi.string().valid('Polygon').required(),
+            coordinates: Joi.array().items(
+                Joi.array().items(
+                    Joi.array().items(Joi.number()).min(2).max(2)
+                ).min(4)
+            ).required()
+        }).required()
+    }).required(),
+    startDate: Joi.string().isoDate().required(),
+    endDate: Joi.string().isoDate().required(),
+    source: Joi.string().valid('sentinel2a').default('sentinel2a'),
+    indices: Joi.array().items(Joi.string().valid(...INDEX_NAMES)).min(1).unique(),
+    cloudMask: Joi.string().valid(...SENTINEL2_CLOUD_MASKS),
+    maxCloudCover: Joi.number().min(0).max(100),
+    minClearFraction: Joi.number().min(0).max(1),
+    smoothing: Joi.object({
+        method: Joi.string().valid(...SMOOTHING_METHODS).required(),
+        // Savitzky-Golay needs more points in the window than the polynomial order; the defaults are 5 and 2
+        windowSize: Joi.number().integer().min(3).when('polynomialOrder', {
+            is: Joi.exist(),
+            then: Joi.number().greater(Joi.ref('polynomialOrder'))
+        }),
+        polynomialOrder: Joi.number().integer().min(1).max(4),
+        lambda: Joi.number().positive()
+    })
+});
+
+module.exports = { vegetationIndexSchema, boreholeSitesSchema, vegetationTimeSeriesSchema };
\ No newline at end of file
@@ -0,0 +1,317 @@
+const Joi = require('joi');
+const { WEATHER_FORMATS } = require('../utils/wofostWeatherImport');
+
+// MM-DD days are applied to every simulated year, so they must exist in a non-leap year
+const isDayOfEveryYear = (value, helpers) => {
+    const [month, day] = value.split('-').map(Number);
+    return new Date(Date.UTC(2001, month - 1, day)).getUTCMonth() === month - 1 ? value : helpers.error('any.custom');
+};
+
+// Per-organ coefficients; overrides may set only some organs
+const organValuesSchema = Joi.object({
+    leaves: Joi.number().min(0),
+    stems: Joi.number().min(0),
+    roots: Joi.number().min(0),
+    organs: Joi.number().min(0)
+});
+
+const partitioningRowSchema = Joi.object({
+    stage: Joi.number().min(0).max(2).required(),
+    leaves: Joi.number().min(0).required(),
+    stems: Joi.number().min(0).required(),
+    roots: Joi.number().min(0).required(),
+    organs: Joi.number().min(0).required()
+});
+
+const nutrientValuesSchema = Joi.object({
+    N: organValuesSchema.required(),
+    P: organValuesSchema.required(),
+    K: organValuesSchema.required()
+});
+
+const cropNutrientsSchema = Joi.object({
+    concentrations: nutrientValuesSchema,
+    criticalFraction: Joi.number().min(0).max(1),
+    residualFraction: Joi.number().min(0).less(Joi.ref('criticalFraction')),
+    useEfficiency: Joi.number().min(0),
+    nitrogenFixation: Joi.number().min(0).max(1)
+});
+
+const cropParamsSchema = Joi.object({
+    cropName: Joi.string(),
+    varietyName: Joi.string().allow(''),
+    cropGroup: Joi.string().allow(''),
+    baseTemperature: Joi.number(),
+    emergenceTSum: Joi.number().min(0),
+    floweringTSum: Joi.number().positive(),
+    maturityTSum: Joi.number().positive(),
+    initialLeafAreaIndex: Joi.number().min(0),
+    initialBiomass: Joi.number().min(0),
+    RUE: Joi.number().positive(),
+    k: Joi.number().positive(),
+    photosynthesisPathway: Joi.string().valid('C3', 'C4'),
+    Tmin: Joi.number(),
+    Topt: Joi.number(),
+    Tmax: Joi.number(),
+    maintenanceCoef: organValuesSchema,
+    conversionEfficiency: organValuesSchema,
+    specificLeafArea: Joi.number().positive(),
+    kcMin: Joi.number().min(0),
+    kcMax: Joi.number().min(0),
+    p: Joi.number().min(0).max(1),
+    initialRootingDepth: Joi.number().positive(),
+    rootGrowthRate: Joi.number().min(0),
+    nutrients: cropNutrientsSchema,
+    harvestIndex: Joi.number().positive().max(1).allow(null),
+    harvestIndexSensitivity: Joi.number().min(0).max(2),
+    grainMoisture: Joi.number().min(0).max(0.5),
+    stressStages: Joi.array().items(Joi.object({
+        name: Joi.string().required(),
+        untilStage: Joi.number().positive().max(2).required()
+    })).min(1).unique('name'),
+    partitioning: Joi.array().items(partitioningRowSchema).min(2)
+});
+
+// Volumetric water contents (m³/m³)
+const soilLayerSchema = Joi.object({
+    thickness: Joi.number().positive().required(),
+    fieldCapacity: Joi.number().positive().max(1).required(),
+    wiltingPoint: Joi.number().min(0).less(Joi.ref('fieldCapacity')).required(),
+    saturation: Joi.number().min(Joi.ref('fieldCapacity')).max(1).required(),
+    initialWaterContent: Joi.number().min(0).max(Joi.ref('saturation')),
+    ksat: Joi.number().positive()
+});
+
+// Single-bucket values (mm) are only needed when no layers are given
+const soilParamsSchema = Joi.object({
+    fieldCapacity: Joi.number().positive(),
+    wiltingPoint: Joi.number().min(0).less(Joi.ref('fieldCapacity')),
+    saturation: Joi.number().min(Joi.ref('fieldCapacity')),
+    initialWaterContent: Joi.number().min(0).max(Joi.ref('saturation')),
+    maxRootingDepth: Joi.number().positive(),
+    soilLayers: Joi.array().items(soilLayerSchema).min(1).max(20),
+    curveNumber: Joi.number().min(30).max(100),
+    groundwaterDepth: Joi.number().positive(),
+    maxCapillaryRise: Joi.number().min(0),
+    nutrients: Joi.object(Object.fromEntries(['N', 'P', 'K'].map(nutrient => [nutrient, Joi.object({
+        initial: Joi.number().min(0),
+        mineralization: Joi.number().min(0)
+    })])))
+}).when(Joi.object({ soilLayers: Joi.exist() }).unknown(), {
+    otherwise: Joi.object({
+        fieldCapacity: Joi.required(),
+        wiltingPoint: Joi.required(),
+        saturation: Joi.required()
+    })
+});
+
+const irrigationRulesSchema = Joi.object({
+    mode: Joi.string().valid('depletion', 'interval', 'deficit').required(),
+    threshold: Joi.number().min(0).max(1),
+    intervalDays: Joi.number().integer().min(1).when('mode', { is: 'interval', then: Joi.required() }),
+    amount: Joi.number().positive(),
+    stages: Joi.array().items(Joi.object({
+        untilStage: Joi.number().min(0).max(2).required(),
+        threshold: Joi.number().min(0).max(1).required(),
+        refill: Joi.number().min(0).max(1).required()
+    })).min(1).when('mode', { is: 'deficit', then: Joi.required() }),
+    seasonalBudget: Joi.number().min(0),
+    maxApplication: Joi.number().positive(),
+    stopAtStage: Joi.number().min(0).max(2)
+});
+
+// Fertilizer amounts (kg/ha) and recovery fractions, shared by single runs and scenarios
+const fertilizerNutrientsSchema = {
+    N: Joi.number().min(0),
+    P: Joi.number().min(0),
+    K: Joi.number().min(0),
+    recovery: Joi.object({
+        N: Joi.number().min(0).max(1),
+        P: Joi.number().min(0).max(1),
+        K: Joi.number().min(0).max(1)
+    })
+};
+
+const managementSchema = Joi.object({
+    plantingDate: Joi.string().isoDate().required(),
+    irrigation: Joi.array().items(Joi.object({
+        date: Joi.string().isoDate().required(),
+        amount: Joi.number().min(0).required()
+    })),
+    irrigationRules: irrigationRulesSchema,
+    productionLevel: Joi.string().valid('potential', 'water-limited', 'nutrient-limited'),
+    fertilization: Joi.array().items(Joi.object({
+        type: Joi.string().valid('basal', 'top-dress').default('basal'),
+        date: Joi.string().isoDate().when('type', { is: 'top-dress', then: Joi.required() }),
+        ...fertilizerNutrientsSchema
+    }).or('N', 'P', 'K'))
+});
+
+const weatherDaySchema = Joi.object({
+    date: Joi.string().isoDate().required(),
+    Tmin: Joi.number().required(),
+    Tmax: Joi.number().required(),
+    solarRadiation: Joi.number().min(0).required(),
+    rainfall: Joi.number().min(0).required(),
+    ET0: Joi.number().min(0),
+    humidity: Joi.number().min(0).max(100),
+    windSpeed: Joi.number().min(0),
+    CO2: Joi.number().positive()
+});
+
+const polygonSchema = Joi.object({
+    type: Joi.string().valid('Feature').required(),
+    properties: Joi.object().allow({}),
+    geometry: Joi.object({
+        type: Joi.string().valid('Polygon').required(),
+        coordinates: Joi.array().items(
+            Joi.array().items(
+                Joi.array().items(Joi.number()).min(2).max(2)
+            ).min(4)
+        ).required()
+    }).required()
+});
+
+const wofostSimulationSchema = Joi.object({
+    cropProfile: Joi.string(),
+    crop: cropParamsSchema,
+    soil: soilParamsSchema.required(),
+    management: managementSchema.required(),
+    weather: Joi.array().items(weatherDaySchema).min(1).max(1000),
+    polygon: polygonSchema,
+    location: Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        elevation: Joi.number()
+    }),
+    maxDays: Joi.number().integer().positive()
+}).or('weather', 'polygon');
+
+// Dates are relative to planting so one grid applies to every weather year
+const wofostScenarioSchema = Joi.object({
+    cropProfiles: Joi.array().items(Joi.string()).min(1).unique(),
+    crop: cropParamsSchema,
+    soil: soilParamsSchema.required(),
+    management: Joi.object({
+        productionLevel: Joi.string().valid('potential', 'water-limited', 'nutrient-limited'),
+        fertilization: Joi.array().items(Joi.object({
+            type: Joi.string().valid('basal', 'top-dress').default('basal'),
+            daysAfterPlanting: Joi.number().integer().min(0)
+                .when('type', { is: 'top-dress', then: Joi.required() }),
+            ...fertilizerNutrientsSchema
+        }).or('N', 'P', 'K'))
+    }),
+    plantingDates: Joi.array().items(
+        Joi.string().pattern(/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/).message('"plantingDates" entries must be MM-DD')
+            .custom(isDayOfEveryYear).message('"plantingDates" entries must be a day that exists in every year')
+    ).min(1).unique().required(),
+    irrigationSchedules: Joi.array().items(Joi.object({
+        name: Joi.string().required(),
+        events: Joi.array().items(Joi.object({
+            daysAfterPlanting: Joi.number().integer().min(0).required(),
+            amount: Joi.number().min(0).required()
+        })),
+        rules: irrigationRulesSchema
+    })).min(1).unique('name'),
+    years: Joi.array().items(Joi.number().integer().min(1950).max(2100)).min(1).unique().required(),
+    weather: Joi.array().items(weatherDaySchema).min(1).max(20000),
+    polygon: polygonSchema,
+    location: Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        elevation: Joi.number()
+    }),
+    maxDays: Joi.number().integer().positive().max(366),
+    rankBy: Joi.string().valid('mean', 'p10', 'p50', 'p90'),
+    top: Joi.number().integer().min(1)
+}).or('weather', 'polygon');
+
+// Observed LAI, or NDVI converted to LAI
+const wofostAssimilationSchema = wofostSimulationSchema.keys({
+    observations: Joi.array().items(Joi.object({
+        date: Joi.string().isoDate().required(),
+        lai: Joi.number().min(0).max(15),
+        ndvi: Joi.number().min(-1).max(1)
+    }).xor('lai', 'ndvi')).min(1).max(1000).required(),
+    ensembleSize: Joi.number().integer().min(5).max(100),
+    seed: Joi.number().integer(),
+    observationError: Joi.number().positive().max(2),
+    perturbations: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(1)),
+    maxRelativeUpdate: Joi.number().positive().max(10),
+    ndvi: Joi.object({
+        k: Joi.number().positive(),
+        ndviSoil: Joi.number().min(-1).max(1),
+        ndviMax: Joi.number().greater(Joi.ref('ndviSoil')).max(1)
+    })
+});
+
+const calibrationRecordSchema = Joi.object({
+    id: Joi.string(),
+    soil: soilParamsSchema.required(),
+    management: managementSchema.required(),
+    weather: Joi.array().items(weatherDaySchema).min(1).max(1000),
+    polygon: polygonSchema,
+    location: Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        elevation: Joi.number()
+    }),
+    maxDays: Joi.number().integer().positive(),
+    observed: Joi.object({
+        yield: Joi.number().min(0),
+        floweringDate: Joi.string().isoDate(),
+        maturityDate: Joi.string().isoDate()
+    }).or('yield', 'floweringDate', 'maturityDate').required()
+}).or('weather', 'polygon');
+
+const wofostCalibrationSchema = Joi.object({
+    cropProfile: Joi.string(),
+    crop: cropParamsSchema,
+    parameters: Joi.array().items(Joi.object({
+        name: Joi.string().required(),
+        min: Joi.number(),
+        max: Joi.number()
+    })).min(1).max(10).unique('name').required(),
+    records: Joi.array().items(calibrationRecordSchema).min(1).max(200).required(),
+    weights: Joi.object({
+        yield: Joi.number().min(0),
+        phenology: Joi.number().min(0)
+    }),
+    populationSize: Joi.number().integer().min(4).max(100),
+    generations: Joi.number().integer().min(1).max(500),
+    seed: Joi.number().integer()
+});
+
+// In-season runs: weather given now and on each advance, or fetched for the polygon
+const seasonIdSchema = Joi.string().pattern(/^[\w.-]+$/).max(128)
+    .message('"seasonId" may only contain letters, digits, "_", "." and "-"');
+
+const wofostSeasonSchema = wofostSimulationSchema.keys({
+    seasonId: seasonIdSchema.required(),
+    fieldId: Joi.string(),
+    maxDays: Joi.forbidden()
+});
+
+const wofostSeasonAdvanceSchema = Joi.object({
+    weather: Joi.array().items(weatherDaySchema).min(1).max(1000)
+});
+
+// Weather files are sent as text; the format is detected when omitted
+const wofostWeatherImportSchema = Joi.object({
+    format: Joi.string().valid(...WEATHER_FORMATS),
+    content: Joi.string().min(1).required(),
+    location: Joi.object({
+        latitude: Joi.number().min(-90).max(90),
+        longitude: Joi.number().min(-180).max(180),
+        elevation: Joi.number()
+    }),
+    maxInterpolationDays: Joi.number().integer().min(0).max(30),
+    record: Joi.boolean()
+});
+
+module.exports = {
+    wofostSimulationSchema,
+    wofostScenarioSchema,
+    wofostAssimilationSchema,
+    wofostCalibrationSchema,
+    wofostSeasonSchema,
+    wofostSeasonAdvanceSchema,
+    wofostWeatherImportSchema
+};
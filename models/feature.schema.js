@@ -0,0 +1,149 @@
+/**
+ * Numeric features produced by YieldPredictionModel.computeFeatures and computeSeasonFeatures,
+ * in model input order.
+ */
+const NUMERIC_FEATURES = [
+    'ndvi',
+    'ndre',
+    'ccci',
+    'ndviVariability',
+    'vegetationHealth',
+    'temperature',
+    'humidity',
+    'pressure',
+    'dewPoint',
+    'heatIndex',
+    'growingDegreeDays',
+    'soilMoisture',
+    'soilTemperature',
+    'soilPH',
+    'organicMatter',
+    'soilProductivityIndex',
+    'moistureDeficit',
+    'cropHealth',
+    'yieldTrend',
+    'dayOfYear',
+    'monthIndicator',
+    'seasonalPhase',
+    'growingSeasonProgress',
+    'dayLength',
+    'daysSincePlanting',
+    'cumulativeGDD',
+    'ndviAUC',
+    'peakNdvi',
+    'peakNdviDay',
+    'heatStressDays',
+    'drySpellCount',
+    'longestDrySpell',
+    'cumulativePrecipitation',
+    'ndviRollingMean',
+    'ndviRollingTrend',
+    'temperatureRollingMean',
+    'soilMoistureRollingMean',
+    'precipitationRollingSum'
+];
+
+/**
+ * Categorical features and their known levels, one-hot encoded after the numeric features.
+ */
+const CATEGORICAL_FEATURES = {
+    irrigationAdvice: ['High irrigation needed', 'Moderate irrigation needed', 'No irrigation needed'],
+    pestRisk: ['High pest risk', 'Moderate pest risk', 'Low pest risk']
+};
+
+function isMissing(value) {
+    return value === undefined || value === null || !Number.isFinite(Number(value)) || typeof value === 'boolean';
+}
+
+/**
+ * Fixed mapping from computed feature objects to regressor input vectors.
+ * The schema is fitted on training data and stored with the model, so training and
+ * prediction always produce vectors with the same columns in the same order.
+ *
+ * - Numeric features keep their order; missing or non-finite values are replaced by the training mean.
+ * - Categorical features are one-hot encoded as `name=level`; unknown or missing levels encode as all zeros.
+ */
+class FeatureSchema {
+    /**
+     * @param {Object} definition
+     * @param {Array<string>} definition.numeric - Ordered numeric feature names
+     * @param {Object<string, Array<string>>} [definition.categorical] - Levels per categorical feature
+     * @param {Object<string, number>} [definition.fillValues] - Replacement for missing numeric values
+     */
+    constructor({ numeric, categorical = {}, fillValues = {} }) {
+        this.numeric = [...numeric];
+        this.categorical = Object.fromEntries(
+            Object.entries(categorical).map(([name, levels]) => [name, [...levels]])
+        );
+        this.fillValues = { ...fillValues };
+    }
+
+    /**
+     * Fit a schema to training feature objects: fill values are the per-feature means of the
+     * values present, and categorical levels seen in training are added to the known levels.
+     * @param {Array<Object>} featureObjects - Outputs of computeFeatures
+     * @param {Object} [definition] - Feature lists to use instead of the defaults
+     * @returns {FeatureSchema}
+     */
+    static fit(featureObjects, { numeric = NUMERIC_FEATURES, categorical = CATEGORICAL_FEATURES } = {}) {
+        const fillValues = {};
+        for (const name of numeric) {
+            const values = featureObjects.map(f => f[name]).filter(value => !isMissing(value)).map(Number);
+            fillValues[name] = values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+        }
+
+        const levels = {};
+        for (const [name, known] of Object.entries(categorical)) {
+            const seen = featureObjects.map(f => f[name]).filter(value => typeof value === 'string');
+            levels[name] = [...new Set([...known, ...seen])];
+        }
+
+        return new FeatureSchema({ numeric, categorical: levels, fillValues });
+    }
+
+    /**
+     * Column names of the vectors produced by transform.
+     * @returns {Array<string>}
+     */
+    get featureNames() {
+        return [
+            ...this.numeric,
+            ...Object.entries(this.categorical).flatMap(([name, levels]) => levels.map(level => `${name}=${level}`))
+        ];
+    }
+
+    /**
+     * Encode one feature object as a numeric vector.
+     * @param {Object} features - Output of computeFeatures
+     * @returns {Array<number>}
+     */
+    transform(features) {
+        const vector = this.numeric.map(name =>
+            isMissing(features[name]) ? (this.fillValues[name] ?? 0) : Number(features[name])
+        );
+        for (const [name, levels] of Object.entries(this.categorical)) {
+            for (const level of levels) {
+                vector.push(features[name] === level ? 1 : 0);
+            }
+        }
+        return vector;
+    }
+
+    toJSON() {
+        return {
+            numeric: this.numeric,
+            categorical: this.categorical,
+            fillValues: this.fillValues
+        };
+    }
+
+    static fromJSON(json) {
+        return new FeatureSchema(json);
+    }
+}
+
+module.exports = {
+    FeatureSchema,
+    NUMERIC_FEATURES,
+    CATEGORICAL_FEATURES
+};
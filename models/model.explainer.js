@@ -0,0 +1,132 @@
+const { createRandom, shuffle } = require('../utils/random');
+
+/**
+ * Group vector columns by the feature they encode, so the one-hot columns of a
+ * categorical feature (`name=level`) are permuted and attributed together.
+ * @param {Array<string>} featureNames - Column names from FeatureSchema.featureNames
+ * @returns {Array<{feature: string, columns: Array<number>}>}
+ */
+function groupColumns(featureNames) {
+    const groups = new Map();
+    featureNames.forEach((name, column) => {
+        const feature = name.split('=')[0];
+        if (!groups.has(feature)) groups.set(feature, []);
+        groups.get(feature).push(column);
+    });
+    return [...groups].map(([feature, columns]) => ({ feature, columns }));
+}
+
+function rootMeanSquaredError(predicted, actual) {
+    return Math.sqrt(predicted.reduce((sum, value, i) => sum + (value - actual[i]) ** 2, 0) / predicted.length);
+}
+
+/**
+ * Permutation feature importance: the increase in RMSE when one feature's values are shuffled
+ * across samples, averaged over several seeded shuffles.
+ * @param {Function} predict - Maps a matrix to an array of predictions
+ * @param {Array<Array<number>>} features
+ * @param {Array<number>} labels
+ * @param {Array<string>} featureNames
+ * @param {Object} [options]
+ * @param {number} [options.repeats=5]
+ * @param {number} [options.seed=42]
+ * @returns {{baselineRmse: number, importances: Array<{feature: string, importance: number, std: number}>}}
+ */
+function permutationImportance(predict, features, labels, featureNames, { repeats = 5, seed = 42 } = {}) {
+    const random = createRandom(seed);
+    const baselineRmse = rootMeanSquaredError(predict(features), labels);
+
+    const importances = groupColumns(featureNames).map(({ feature, columns }) => {
+        const increases = [];
+        for (let r = 0; r < repeats; r++) {
+            const order = shuffle(features.map((_, i) => i), random);
+            const permuted = features.map((row, i) => {
+                const copy = [...row];
+                for (const column of columns) copy[column] = features[order[i]][column];
+                return copy;
+            });
+            increases.push(rootMeanSquaredError(predict(permuted), labels) - baselineRmse);
+        }
+        const importance = increases.reduce((sum, value) => sum + value, 0) / repeats;
+        const std = Math.sqrt(increases.reduce((sum, value) => sum + (value - importance) ** 2, 0) / repeats);
+        return { feature, importance, std };
+    });
+
+    importances.sort((a, b) => b.importance - a.importance);
+    return { baselineRmse, importances };
+}
+
+/**
+ * Per-prediction feature contributions estimated by Monte Carlo sampling of Shapley values
+ * (Štrumbelj & Kononenko). Each sample draws a random feature ordering and a background row;
+ * a feature's contribution is the change in prediction when its value is switched from the
+ * background row to the explained row, given the features ahead of it in the ordering.
+ * Contributions are adjusted to sum exactly to `prediction - baseValue`.
+ * @param {Function} predict - Maps a matrix to an array of predictions
+ * @param {Array<number>} row - Encoded feature vector being explained
+ * @param {Array<Array<number>>} background - Reference rows, typically a sample of training data
+ * @param {Array<string>} featureNames
+ * @param {Object} [options]
+ * @param {number} [options.samples=64] - Samples per feature
+ * @param {number} [options.seed=42]
+ * @returns {{baseValue: number, prediction: number, contributions: Array<{feature: string, contribution: number}>}}
+ */
+function shapleyContributions(predict, row, background, featureNames, { samples = 64, seed = 42 } = {}) {
+    const random = createRandom(seed);
+    const groups = groupColumns(featureNames);
+
+    const matrix = [];
+    for (let g = 0; g < groups.length; g++) {
+        for (let s = 0; s < samples; s++) {
+            const reference = background[Math.floor(random() * background.length)];
+            const order = shuffle(groups.map((_, i) => i), random);
+            const preceding = order.slice(0, order.indexOf(g));
+
+            const without = [...reference];
+            for (const i of preceding) {
+                for (const column of groups[i].columns) without[column] = row[column];
+            }
+            const withFeature = [...without];
+            for (const column of groups[g].columns) withFeature[column] = row[column];
+            matrix.push(withFeature, without);
+        }
+    }
+
+    const outputs = predict(matrix);
+    const raw = groups.map((_, g) => {
+        let total = 0;
+        for (let s = 0; s < samples; s++) {
+            const offset = 2 * (g * samples + s);
+            total += outputs[offset] - outputs[offset + 1];
+        }
+        return total / samples;
+    });
+
+    const backgroundOutputs = predict(background);
+    const baseValue = backgroundOutputs.reduce((sum, value) => sum + value, 0) / backgroundOutputs.length;
+    const prediction = predict([row])[0];
+    const correction = (prediction - baseValue - raw.reduce((sum, value) => sum + value, 0)) / groups.length;
+
+    const contributions = groups
+        .map(({ feature }, g) => ({ feature, contribution: raw[g] + correction }))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    return { baseValue, prediction, contributions };
+}
+
+/**
+ * Seeded sample of training rows used as the reference distribution for explanations.
+ * @param {Array<Array<number>>} features
+ * @param {number} size
+ * @param {number} [seed=42]
+ * @returns {Array<Array<number>>}
+ */
+function sampleBackground(features, size, seed = 42) {
+    return shuffle(features, createRandom(seed)).slice(0, size);
+}
+
+module.exports = {
+    permutationImportance,
+    shapleyContributions,
+    sampleBackground
+};
@@ -0,0 +1,122 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * File-based store for trained yield models.
+ * Every trained version of a field model is kept as `<storePath>/<fieldId>/v<version>.json`
+ * holding the serialized regressors and their metadata (crop type, features, training
+ * timestamp, data hash, metrics). `<storePath>/<fieldId>/manifest.json` records the active version.
+ */
+class ModelStore {
+    /**
+     * @param {string} storePath - Directory holding the model files
+     */
+    constructor(storePath) {
+        this.storePath = storePath;
+    }
+
+    getFieldPath(fieldId) {
+        return path.join(this.storePath, encodeURIComponent(fieldId));
+    }
+
+    /**
+     * Write a JSON file via a temporary path so a crash never leaves a partial file.
+     * @param {string} filePath
+     * @param {Object} data
+     */
+    async writeJSON(filePath, data) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * Write one serialized model version.
+     * @param {string} fieldId
+     * @param {Object} record - Serialized model including its `version` number
+     */
+    async saveVersion(fieldId, record) {
+        const fieldPath = this.getFieldPath(fieldId);
+        await fs.mkdir(fieldPath, { recursive: true });
+        await this.writeJSON(path.join(fieldPath, `v${record.version}.json`), record);
+    }
+
+    /**
+     * Record which version of a field model is active.
+     * @param {string} fieldId
+     * @param {number} activeVersion
+     */
+    async setActiveVersion(fieldId, activeVersion) {
+        const fieldPath = this.getFieldPath(fieldId);
+        await fs.mkdir(fieldPath, { recursive: true });
+        await this.writeJSON(path.join(fieldPath, MANIFEST_FILE), {
+            fieldId,
+            activeVersion,
+            updatedAt: new Date()
+        });
+    }
+
+    /**
+     * Read every stored field with all of its versions. Unreadable files are skipped with a warning.
+     * @returns {Promise<Array<{fieldId: string, activeVersion: number, versions: Array<Object>}>>}
+     */
+    async loadAll() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.storePath, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const fields = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+
+            const entryPath = path.join(this.storePath, entry.name);
+            const files = await fs.readdir(entryPath);
+            const versions = [];
+            for (const file of files.filter(name => /^v\d+\.json$/.test(name))) {
+                const record = await this.readJSON(path.join(entryPath, file));
+                if (record) versions.push(record);
+            }
+            if (!versions.length) continue;
+
+            versions.sort((a, b) => a.version - b.version);
+            const manifest = await this.readJSON(path.join(entryPath, MANIFEST_FILE));
+            fields.push({
+                fieldId: versions[0].fieldId,
+                activeVersion: manifest?.activeVersion ?? versions[versions.length - 1].version,
+                versions
+            });
+        }
+        return fields;
+    }
+
+    async readJSON(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Skipping unreadable model file ${filePath}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Delete every stored version of a field model.
+     * @param {string} fieldId
+     * @returns {Promise<boolean>} Whether anything was removed
+     */
+    async remove(fieldId) {
+        const fieldPath = this.getFieldPath(fieldId);
+        const existed = await fs.stat(fieldPath).then(() => true, () => false);
+        await fs.rm(fieldPath, { recursive: true, force: true });
+        return existed;
+    }
+}
+
+module.exports = ModelStore;
@@ -0,0 +1,76 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File-based store for in-season WOFOST checkpoints.
+ * Each season is kept as `<storePath>/<seasonId>.json` holding the serialized model
+ * (Wofost.toJSON) together with the season's field metadata.
+ */
+class WofostCheckpointStore {
+    /**
+     * @param {string} storePath - Directory holding the checkpoint files
+     */
+    constructor(storePath) {
+        this.storePath = storePath;
+    }
+
+    getSeasonPath(seasonId) {
+        return path.join(this.storePath, `${encodeURIComponent(seasonId)}.json`);
+    }
+
+    /**
+     * Write a checkpoint via a temporary path so a crash never leaves a partial file.
+     * @param {string} seasonId
+     * @param {Object} record
+     */
+    async save(seasonId, record) {
+        const filePath = this.getSeasonPath(seasonId);
+        const tempPath = `${filePath}.tmp`;
+        await fs.mkdir(this.storePath, { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(record), 'utf8');
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * @param {string} seasonId
+     * @returns {Promise<Object|null>} The checkpoint, or null if there is none
+     */
+    async load(seasonId) {
+        try {
+            return JSON.parse(await fs.readFile(this.getSeasonPath(seasonId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Ids of every stored season.
+     * @returns {Promise<Array<string>>}
+     */
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.storePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+    }
+
+    /**
+     * @param {string} seasonId
+     * @returns {Promise<boolean>} Whether a checkpoint was removed
+     */
+    async remove(seasonId) {
+        const filePath = this.getSeasonPath(seasonId);
+        const existed = await fs.stat(filePath).then(() => true, () => false);
+        await fs.rm(filePath, { force: true });
+        return existed;
+    }
+}
+
+module.exports = WofostCheckpointStore;
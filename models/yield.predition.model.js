@@ -1,6 +1,66 @@
-const { RandomForestRegressor } = require('ml-random-forest');
-const { GradientBoostingRegressor } = require('ml-xgboost');
+const { RandomForestRegression } = require('ml-random-forest');
+// ml-xgboost exports a promise of its XGBoost class, resolved once the WebAssembly module has loaded
+const xgboostReady = require('ml-xgboost');
 const fs = require('fs');
+const crypto = require('crypto');
+const { default: PQueue } = require('p-queue');
+const { ModelError, ValidationError, NotFoundError } = require('../utils/errors');
+const { createRandom, shuffle } = require('../utils/random');
+const { normalizeProvince, resolveProvince, getFieldCoordinates } = require('../utils/regions');
+const { resolveSeasonCalendar, getSeasonProgress, getSeasonLabel } = require('../utils/seasons');
+const { FeatureSchema } = require('./feature.schema');
+const { permutationImportance, shapleyContributions, sampleBackground } = require('./model.explainer');
+
+// Regressors blended by the ensemble, keyed by the modelType used in trainModel
+const ENSEMBLE_MEMBERS = ['randomForest', 'gradientBoosting'];
+
+const DEFAULT_ENSEMBLE_CONFIG = {
+    validationFraction: 0.2, // Most recent share of samples held out to learn blend weights
+    minSamples: 10,
+    intervalZ: 1.96 // 95% prediction interval
+};
+
+const CROSS_VALIDATION_STRATEGIES = ['kfold', 'timeSeries', 'season'];
+
+// Fewest training samples a cross-validation fold may fit on
+const MIN_FOLD_TRAINING_SAMPLES = 10;
+
+// Field models below these thresholds defer to pooled crop models at prediction time
+const DEFAULT_POOLING_CONFIG = {
+    minFieldSamples: 20,
+    minCrossValidationR2: 0
+};
+
+const POOLED_MODEL_PREFIX = 'crop:';
+
+const DEFAULT_EXPLAIN_CONFIG = {
+    backgroundSize: 50, // Training rows kept with each model as the explanation reference
+    shapleySamples: 64,
+    importanceRepeats: 5
+};
+
+// Thresholds for the season-long features derived from a field's daily series
+const DEFAULT_SEASON_FEATURE_CONFIG = {
+    heatStressTemperature: 35, // °C daily maximum
+    dryDayPrecipitation: 1, // mm/day below which a day counts as dry
+    minDrySpellDays: 5
+};
+
+const DEFAULT_ROLLING_WINDOW_SIZE = 7;
+
+// Season calendars per crop and province are in utils/seasons.js; `calendars` and `regions`
+// here override them. Fields sent without a polygon or location are placed at Harare's latitude.
+const DEFAULT_SEASON_CONFIG = {
+    defaultLatitude: -17.83
+};
+
+const DEFAULT_BATCH_CONCURRENCY = 4;
+
+// Cross-validation run on every newly trained version so versions can be compared
+const DEFAULT_VERSIONING_CONFIG = {
+    crossValidationFolds: 5,
+    crossValidationStrategy: 'timeSeries'
+};
 
 /**
  * Utility function for safe access to nested object properties.
@@ -21,10 +81,32 @@ class YieldPredictionModel {
         this.maxCacheSize = 1000;
         this.featureCache = new Map();
         this.data = [];
+        this.ensembleConfig = { ...DEFAULT_ENSEMBLE_CONFIG, ...this.modelConfig.ensemble };
+        this.versioningConfig = { ...DEFAULT_VERSIONING_CONFIG, ...this.modelConfig.versioning };
+        this.poolingConfig = { ...DEFAULT_POOLING_CONFIG, ...this.modelConfig.pooling };
+        this.explainConfig = { ...DEFAULT_EXPLAIN_CONFIG, ...this.modelConfig.explain };
+        this.seasonFeatureConfig = { ...DEFAULT_SEASON_FEATURE_CONFIG, ...this.modelConfig.seasonFeatures };
+        this.seasonConfig = { ...DEFAULT_SEASON_CONFIG, ...this.modelConfig.seasons };
+
+        // config/config.js passes its `model` settings object here rather than a JSON config path
+        const settings = configPath && typeof configPath === 'object' ? configPath : {};
+        this.rollingWindowSize = settings.rollingWindowSize
+            || this.modelConfig.rollingWindowSize
+            || DEFAULT_ROLLING_WINDOW_SIZE;
+        this.modelVersions = {};
+        this.modelStore = null;
+    }
+
+    /**
+     * Persist trained models through the given store from now on.
+     * @param {ModelStore} modelStore
+     */
+    setModelStore(modelStore) {
+        this.modelStore = modelStore;
     }
 
     loadModelConfig(configPath) {
-        if (configPath && fs.existsSync(configPath)) {
+        if (typeof configPath === 'string' && fs.existsSync(configPath)) {
             try {
                 return JSON.parse(fs.readFileSync(configPath, 'utf8'));
             } catch (error) {
@@ -63,9 +145,13 @@ class YieldPredictionModel {
 
     /**
      * Compute extended features including advanced vegetation indices and irrigation recommendations.
+     * @param {Object} dailyData
+     * @param {string} [cropType] - Selects the season calendar; defaults to the record's `cropType`
      */
-    computeFeatures(dailyData) {
-        const key = `${dailyData.fieldId}_${dailyData.date}`;
+    computeFeatures(dailyData, cropType = dailyData.cropType) {
+        // Season features depend on the field's latitude and province, not only on its id
+        const seasonContext = this.getSeasonContext(dailyData, cropType);
+        const key = `${dailyData.fieldId}_${dailyData.date}_${cropType}_${seasonContext.latitude}_${seasonContext.region}`;
         if (this.featureCache.has(key)) return this.featureCache.get(key);
 
         const ndviFeatures = this.processNDVI(dailyData.ndvi);
@@ -75,7 +161,7 @@ class YieldPredictionModel {
         const irrigationAdvice = this.calculateIrrigation(soilFeatures.soilMoisture, weatherFeatures.temperature);
         const pestRisk = this.calculatePestRisk(weatherFeatures.humidity, cropHealth);
         const date = new Date(dailyData.date);
-        const seasonalFeatures = this.extractSeasonalFeatures(date);
+        const seasonalFeatures = this.extractSeasonalFeatures(date, seasonContext);
 
         const features = {
             ...ndviFeatures,
@@ -91,6 +177,170 @@ class YieldPredictionModel {
         return features;
     }
 
+    /**
+     * Split date-ordered input into the record being described and the season series leading to it.
+     * @param {Object|Array} dailyData - One day of data, or a field's daily series ending on the current day
+     * @returns {{current: Object, series: Array}}
+     */
+    normalizeDailyInput(dailyData) {
+        if (!Array.isArray(dailyData)) {
+            return { current: dailyData, series: [dailyData] };
+        }
+        if (!dailyData.length) {
+            throw new ValidationError('dailyData series must not be empty');
+        }
+        const series = [...dailyData].sort((a, b) => new Date(a.date) - new Date(b.date));
+        return { current: series[series.length - 1], series };
+    }
+
+    /**
+     * Season a record's series belongs to: its planting date when known, else its season key.
+     * @param {Object} dailyData
+     * @param {string} [cropType]
+     * @returns {string}
+     */
+    getSeriesKey(dailyData, cropType) {
+        return `${dailyData.fieldId}|${dailyData.plantingDate ?? this.getSeasonKey(dailyData, dailyData.cropType ?? cropType)}`;
+    }
+
+    /**
+     * Compute day and season-long features for a set of records. Records are grouped into
+     * per-field season series, and each record's season features only use records up to its date.
+     * @param {Array} records - Daily data records from any number of fields and seasons
+     * @param {string} [cropType] - Crop for records that do not carry their own `cropType`
+     * @returns {Array<Object>} Feature objects aligned with `records`
+     */
+    computeFeatureSeries(records, cropType) {
+        const groups = new Map();
+        records.forEach((record, index) => {
+            const key = this.getSeriesKey(record, cropType);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(index);
+        });
+
+        const featureObjects = new Array(records.length);
+        for (const indices of groups.values()) {
+            indices.sort((a, b) => new Date(records[a].date) - new Date(records[b].date));
+            const series = indices.map(i => records[i]);
+            const dayFeatures = series.map(d => this.computeFeatures(d, d.cropType ?? cropType));
+            const seasonFeatures = this.computeSeasonFeatures(series, dayFeatures);
+            indices.forEach((recordIndex, i) => {
+                featureObjects[recordIndex] = { ...dayFeatures[i], ...seasonFeatures[i] };
+            });
+        }
+        return featureObjects;
+    }
+
+    /**
+     * Rolling and cumulative features over a date-ordered season series.
+     * Cumulative quantities integrate over the days between records, so series need not be daily.
+     * The season starts at `plantingDate` of the first record, or at the first record's date.
+     * @param {Array} series - One field's records for one season, ordered by date
+     * @param {Array<Object>} dayFeatures - computeFeatures output for each record
+     * @returns {Array<Object>} Season features as of each record
+     */
+    computeSeasonFeatures(series, dayFeatures) {
+        const { heatStressTemperature, dryDayPrecipitation, minDrySpellDays } = this.seasonFeatureConfig;
+        const plantingDate = new Date(series[0].plantingDate ?? series[0].date);
+        const window = this.rollingWindowSize;
+
+        let cumulativeGDD = 0;
+        let ndviAUC = 0;
+        let cumulativePrecipitation = 0;
+        let peakNdvi = null;
+        let peakNdviDay = null;
+        let heatStressDays = 0;
+        let drySpellCount = 0;
+        let currentDryRun = 0;
+        let longestDrySpell = 0;
+        let previousDay = null;
+
+        return series.map((d, i) => {
+            const features = dayFeatures[i];
+            const day = this.daysBetween(plantingDate, new Date(d.date));
+            const elapsed = previousDay === null ? 1 : Math.max(0, day - previousDay);
+
+            cumulativeGDD += (features.growingDegreeDays || 0) * elapsed;
+            if (i > 0 && Number.isFinite(features.ndvi) && Number.isFinite(dayFeatures[i - 1].ndvi)) {
+                ndviAUC += (features.ndvi + dayFeatures[i - 1].ndvi) / 2 * elapsed;
+            }
+            if (Number.isFinite(features.ndvi) && (peakNdvi === null || features.ndvi > peakNdvi)) {
+                peakNdvi = features.ndvi;
+                peakNdviDay = day;
+            }
+
+            const precipitation = this.getDailyPrecipitation(d);
+            cumulativePrecipitation += precipitation;
+            if (precipitation < dryDayPrecipitation) {
+                currentDryRun += Math.max(1, elapsed);
+                if (currentDryRun >= minDrySpellDays && currentDryRun - Math.max(1, elapsed) < minDrySpellDays) {
+                    drySpellCount++;
+                }
+                longestDrySpell = Math.max(longestDrySpell, currentDryRun);
+            } else {
+                currentDryRun = 0;
+            }
+
+            if (this.getDailyMaxTemperature(d) > heatStressTemperature) {
+                heatStressDays++;
+            }
+            previousDay = day;
+
+            const recent = dayFeatures.slice(Math.max(0, i - window + 1), i + 1);
+            const recentRecords = series.slice(Math.max(0, i - window + 1), i + 1);
+            return {
+                daysSincePlanting: day,
+                cumulativeGDD,
+                ndviAUC,
+                peakNdvi,
+                peakNdviDay,
+                heatStressDays,
+                drySpellCount,
+                longestDrySpell,
+                cumulativePrecipitation,
+                ndviRollingMean: this.finiteMean(recent.map(f => f.ndvi)),
+                ndviRollingTrend: this.calculateTrend(recent.map(f => f.ndvi).filter(Number.isFinite)),
+                temperatureRollingMean: this.finiteMean(recent.map(f => f.temperature)),
+                soilMoistureRollingMean: this.finiteMean(recent.map(f => f.soilMoisture)),
+                precipitationRollingSum: recentRecords.reduce((sum, r) => sum + this.getDailyPrecipitation(r), 0)
+            };
+        });
+    }
+
+    /**
+     * Daily precipitation (mm): `weather.precipitation` when supplied, else the OpenWeather
+     * `rain` volume on the current observation, else 0.
+     * @param {Object} dailyData
+     * @returns {number}
+     */
+    getDailyPrecipitation(dailyData) {
+        const weather = dailyData.weather || {};
+        const rain = weather.weather_current?.rain;
+        const value = weather.precipitation ?? rain?.['1h'] ?? rain?.['3h'] ?? 0;
+        return Number.isFinite(Number(value)) ? Number(value) : 0;
+    }
+
+    /**
+     * Daily maximum temperature in °C from the OpenWeather observation (Kelvin).
+     * Falls back to the current temperature when no maximum is reported.
+     * @param {Object} dailyData
+     * @returns {number}
+     */
+    getDailyMaxTemperature(dailyData) {
+        const current = dailyData.weather.weather_current;
+        const kelvin = current.main?.temp_max ?? current.temp_max ?? current.main?.temp ?? current.temp;
+        return kelvin - 273.15;
+    }
+
+    daysBetween(start, end) {
+        return Math.round((end - start) / (1000 * 60 * 60 * 24));
+    }
+
+    finiteMean(array) {
+        const values = array.filter(Number.isFinite);
+        return values.length ? this.mean(values) : null;
+    }
+
     /**
      * Process NDVI and calculate multiple vegetation indices.
      */
@@ -263,21 +513,36 @@ class YieldPredictionModel {
         return 'Low pest risk';
     }
 
+    /**
+     * Latitude and season calendar for a field record. The latitude comes from the centroid of
+     * the record's polygon (or its location); the calendar from its crop, province and hemisphere.
+     * @param {Object} dailyData
+     * @param {string} [cropType]
+     * @returns {{latitude: number, region: string|null, calendar: Object}}
+     */
+    getSeasonContext(dailyData, cropType = dailyData.cropType) {
+        const latitude = getFieldCoordinates(dailyData)?.lat ?? this.seasonConfig.defaultLatitude;
+        const region = resolveProvince(dailyData);
+        const calendar = resolveSeasonCalendar({ cropType, region, latitude }, this.seasonConfig);
+        return { latitude, region, calendar };
+    }
+
     /**
      * Extract seasonal features with advanced metrics
      * @param {Date} date 
+     * @param {Object} seasonContext - From getSeasonContext
      * @returns {Object}
      */
-    extractSeasonalFeatures(date) {
+    extractSeasonalFeatures(date, { latitude, calendar }) {
         const dayOfYear = this.getDayOfYear(date);
-        const seasonalPhase = this.calculateSeasonalPhase(dayOfYear);
+        const seasonalPhase = this.calculateSeasonalPhase(dayOfYear, latitude);
 
         return {
             dayOfYear,
             monthIndicator: date.getMonth() + 1,
             seasonalPhase,
-            growingSeasonProgress: this.calculateGrowingSeasonProgress(dayOfYear),
-            dayLength: this.calculateDayLength(date, 45) // Assuming latitude 45°N
+            growingSeasonProgress: this.calculateGrowingSeasonProgress(date, calendar),
+            dayLength: this.calculateDayLength(date, latitude)
         };
     }
 
@@ -299,28 +564,24 @@ class YieldPredictionModel {
     }
 
     /**
-     * Calculate seasonal phase
+     * Calculate seasonal phase: 1 at local midsummer, 0 at midwinter
      * @param {number} dayOfYear 
+     * @param {number} latitude - Southern-hemisphere summers peak half a year later
      * @returns {number}
      */
-    calculateSeasonalPhase(dayOfYear) {
-        return (Math.cos(2 * Math.PI * (dayOfYear / 365 - 0.5)) + 1) / 2;
+    calculateSeasonalPhase(dayOfYear, latitude) {
+        const offset = latitude < 0 ? 0 : 0.5;
+        return (Math.cos(2 * Math.PI * (dayOfYear / 365 - offset)) + 1) / 2;
     }
 
     /**
      * Calculate growing season progress
-     * @param {number} dayOfYear 
-     * @returns {number}
+     * @param {Date} date 
+     * @param {Object} calendar - Season calendar from getSeasonContext
+     * @returns {number} 0 at the season opening, 1 once the season has ended
      */
-    calculateGrowingSeasonProgress(dayOfYear) {
-        // Assuming growing season is between day 90 (April 1) and 270 (September 27)
-        const startDay = 90;
-        const seasonLength = 180;
-
-        if (dayOfYear < startDay) return 0;
-        if (dayOfYear > startDay + seasonLength) return 1;
-
-        return (dayOfYear - startDay) / seasonLength;
+    calculateGrowingSeasonProgress(date, calendar) {
+        return getSeasonProgress(date, calendar);
     }
 
     /**
@@ -346,24 +607,1085 @@ class YieldPredictionModel {
         return Math.max(0, Math.min(1, (value - min) / (max - min)));
     }
 
-    async trainModel(fieldId, historicalData, cropType, modelType = 'randomForest') {
+    /**
+     * Fit a feature schema to training records and encode them with it.
+     * @param {Array} samples - Daily data records
+     * @param {string} [cropType]
+     * @returns {{featureSchema: FeatureSchema, features: Array<Array<number>>}}
+     */
+    buildTrainingMatrix(samples, cropType) {
+        const featureObjects = this.computeFeatureSeries(samples, cropType);
+        const featureSchema = FeatureSchema.fit(featureObjects);
+        return { featureSchema, features: featureObjects.map(f => featureSchema.transform(f)) };
+    }
+
+    /**
+     * Fingerprint of the training data so stored models can be matched to what produced them.
+     * @param {Array} historicalData
+     * @returns {string} SHA-256 hex digest
+     */
+    hashTrainingData(historicalData) {
+        return crypto.createHash('sha256').update(JSON.stringify(historicalData)).digest('hex');
+    }
+
+    /**
+     * Create an untrained regressor for the given model type, mapping the model config onto
+     * the option names of ml-random-forest and ml-xgboost.
+     * @param {string} modelType - 'randomForest' or 'gradientBoosting'
+     * @returns {Promise<Object>}
+     */
+    async createRegressor(modelType) {
+        if (modelType === 'randomForest') {
+            const { nEstimators, maxDepth, minSamplesSplit, seed } = this.modelConfig.randomForest;
+            // Out-of-bag estimates are unused, and ml-random-forest throws when a bootstrap leaves no sample out
+            return new RandomForestRegression(this.definedOptions({
+                nEstimators,
+                seed,
+                noOOB: true,
+                treeOptions: this.definedOptions({ maxDepth, minNumSamples: minSamplesSplit })
+            }));
+        }
+
+        const XGBoost = await xgboostReady;
+        const { learningRate, nEstimators, maxDepth, seed } = this.modelConfig.gradientBoosting;
+        // XGBoost stringifies every option it is given, so unset ones must be left out
+        return new XGBoost(this.definedOptions({
+            eta: learningRate,
+            iterations: nEstimators,
+            max_depth: maxDepth,
+            seed
+        }));
+    }
+
+    /**
+     * Copy of an options object without its undefined entries.
+     * @param {Object} options
+     * @returns {Object}
+     */
+    definedOptions(options) {
+        return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * Restore a regressor from its toJSON() output.
+     * @param {string} modelType
+     * @param {Object} json
+     * @returns {Promise<Object>}
+     */
+    async loadRegressor(modelType, json) {
+        if (modelType === 'randomForest') {
+            return RandomForestRegression.load(json);
+        }
+        const XGBoost = await xgboostReady;
+        return XGBoost.load(json);
+    }
+
+    /**
+     * Train a model for a field and register it as a new version.
+     * @param {string} fieldId
+     * @param {Array} historicalData - Daily data records with a `yield` label
+     * @param {string} cropType
+     * @param {string} [modelType='randomForest'] - 'randomForest', 'gradientBoosting' or 'ensemble'
+     * @param {Object} [options]
+     * @param {boolean} [options.activate=true] - Make the new version the one used by /predict
+     * @param {Object} [options.metadata] - Extra properties stored with the version
+     * @param {boolean} [options.explain=false] - Compute permutation feature importance
+     * @returns {Promise<Object>}
+     */
+    async trainModel(fieldId, historicalData, cropType, modelType = 'randomForest', options = {}) {
+        if (modelType === 'ensemble') {
+            return this.trainEnsemble(fieldId, historicalData, cropType, options);
+        }
+
         this.validateDailyData(historicalData[0]);
-        const features = historicalData.map(d => this.computeFeatures(d));
+        const { featureSchema, features } = this.buildTrainingMatrix(historicalData, cropType);
         const labels = historicalData.map(d => d.yield);
-        const model = modelType === 'randomForest'
-            ? new RandomForestRegressor({ ...this.modelConfig.randomForest })
-            : new GradientBoostingRegressor({ ...this.modelConfig.gradientBoosting });
+        const model = await this.createRegressor(modelType);
         await model.train(features, labels);
-        this.models[fieldId] = { model, cropType };
+
+        const trainedAt = new Date();
+        const metrics = { training: this.calculateRegressionMetrics(model.predict(features), labels) };
+        const entry = this.attachExplainability({
+            model,
+            cropType,
+            modelType,
+            featureSchema,
+            features: featureSchema.featureNames,
+            dataHash: this.hashTrainingData(historicalData),
+            metrics,
+            trainedAt,
+            sampleCount: labels.length
+        }, features, labels, options.explain);
+        await this.registerVersion(fieldId, historicalData, cropType, entry, options);
+
+        return {
+            success: true,
+            fieldId,
+            cropType,
+            modelType,
+            version: entry.version,
+            active: this.models[fieldId] === entry,
+            metrics,
+            crossValidation: entry.crossValidation,
+            ...(entry.featureImportance && { featureImportance: entry.featureImportance }),
+            sampleCount: labels.length,
+            trainedAt
+        };
+    }
+
+    /**
+     * Train a random forest and a gradient boosting model for a field and learn blend weights.
+     * Weights are the normalised inverse validation MSE of each member on a chronological
+     * holdout; both members are then refitted on all samples.
+     * @param {string} fieldId
+     * @param {Array} historicalData - Daily data records with a `yield` label
+     * @param {string} cropType
+     * @param {Object} [options] - See trainModel
+     * @returns {Promise<Object>}
+     */
+    async trainEnsemble(fieldId, historicalData, cropType, options = {}) {
+        const { validationFraction, minSamples } = this.ensembleConfig;
+        if (historicalData.length < minSamples) {
+            throw new ModelError(`Ensemble training requires at least ${minSamples} samples, got ${historicalData.length}`);
+        }
+        this.validateDailyData(historicalData[0]);
+
+        const samples = [...historicalData].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const { featureSchema, features } = this.buildTrainingMatrix(samples, cropType);
+        const labels = samples.map(d => d.yield);
+
+        const splitIndex = Math.min(
+            labels.length - 1,
+            Math.max(1, Math.floor(labels.length * (1 - validationFraction)))
+        );
+        const validationLabels = labels.slice(splitIndex);
+
+        const validationPredictions = {};
+        const validationMetrics = {};
+        for (const modelType of ENSEMBLE_MEMBERS) {
+            const model = await this.createRegressor(modelType);
+            await model.train(features.slice(0, splitIndex), labels.slice(0, splitIndex));
+            validationPredictions[modelType] = model.predict(features.slice(splitIndex));
+            validationMetrics[modelType] = {
+                rmse: Math.sqrt(this.meanSquaredError(validationPredictions[modelType], validationLabels))
+            };
+        }
+
+        const weights = this.calculateEnsembleWeights(validationPredictions, validationLabels);
+        const blended = validationLabels.map((_, i) =>
+            ENSEMBLE_MEMBERS.reduce((sum, type) => sum + weights[type] * validationPredictions[type][i], 0)
+        );
+        const residuals = blended.map((value, i) => value - validationLabels[i]);
+        const residualStd = this.standardDeviation(residuals);
+        validationMetrics.ensemble = {
+            rmse: Math.sqrt(this.meanSquaredError(blended, validationLabels))
+        };
+
+        const members = {};
+        for (const modelType of ENSEMBLE_MEMBERS) {
+            members[modelType] = await this.createRegressor(modelType);
+            await members[modelType].train(features, labels);
+        }
+
+        const trainedAt = new Date();
+        const entry = this.attachExplainability({
+            members,
+            cropType,
+            modelType: 'ensemble',
+            weights,
+            residualStd,
+            featureSchema,
+            features: featureSchema.featureNames,
+            dataHash: this.hashTrainingData(historicalData),
+            metrics: { validation: validationMetrics },
+            trainedAt,
+            sampleCount: labels.length
+        }, features, labels, options.explain);
+        await this.registerVersion(fieldId, historicalData, cropType, entry, options);
+
+        return {
+            success: true,
+            fieldId,
+            cropType,
+            modelType: 'ensemble',
+            version: entry.version,
+            active: this.models[fieldId] === entry,
+            weights,
+            validation: { sampleCount: validationLabels.length, metrics: validationMetrics },
+            crossValidation: entry.crossValidation,
+            ...(entry.featureImportance && { featureImportance: entry.featureImportance }),
+            sampleCount: labels.length,
+            trainedAt
+        };
+    }
+
+    /**
+     * Keep a background sample of the training matrix for per-prediction explanations and,
+     * when requested, compute permutation importance on the training data for every member
+     * (and for the blend of an ensemble).
+     * @param {Object} entry - Trained model entry
+     * @param {Array<Array<number>>} features
+     * @param {Array<number>} labels
+     * @param {boolean} [explain=false]
+     * @returns {Object} The entry
+     */
+    attachExplainability(entry, features, labels, explain = false) {
+        const seed = this.modelConfig.randomForest?.seed ?? 42;
+        entry.background = sampleBackground(features, this.explainConfig.backgroundSize, seed);
+        if (!explain) return entry;
+
+        const options = { repeats: this.explainConfig.importanceRepeats, seed };
+        const regressors = this.getRegressors(entry);
+        entry.featureImportance = Object.fromEntries(
+            Object.entries(regressors).map(([modelType, model]) => [
+                modelType,
+                permutationImportance(matrix => model.predict(matrix), features, labels, entry.features, options)
+            ])
+        );
+        if (entry.modelType === 'ensemble') {
+            entry.featureImportance.ensemble = permutationImportance(
+                matrix => this.predictMatrix(entry, matrix), features, labels, entry.features, options
+            );
+        }
+        return entry;
+    }
+
+    /**
+     * Regressors of a model entry keyed by model type.
+     * @param {Object} entry
+     * @returns {Object}
+     */
+    getRegressors(entry) {
+        return entry.modelType === 'ensemble' ? entry.members : { [entry.modelType]: entry.model };
+    }
+
+    /**
+     * Blended predictions of a model entry for an encoded feature matrix.
+     * @param {Object} entry
+     * @param {Array<Array<number>>} matrix
+     * @returns {Array<number>}
+     */
+    predictMatrix(entry, matrix) {
+        const weights = entry.weights || { [entry.modelType]: 1 };
+        const blended = new Array(matrix.length).fill(0);
+        for (const [modelType, model] of Object.entries(this.getRegressors(entry))) {
+            model.predict(matrix).forEach((value, i) => {
+                blended[i] += weights[modelType] * value;
+            });
+        }
+        return blended;
+    }
+
+    /**
+     * Feature contributions to one prediction, relative to the mean prediction over the
+     * model's background sample. Models stored without a background sample are explained
+     * against the feature schema's fill values.
+     * @param {Object} entry
+     * @param {Object} featureObject - Output of computeFeatures
+     * @returns {Object}
+     */
+    explainPrediction(entry, featureObject) {
+        const row = entry.featureSchema.transform(featureObject);
+        const background = entry.background?.length
+            ? entry.background
+            : [entry.featureSchema.transform({})];
+        const { baseValue, prediction, contributions } = shapleyContributions(
+            matrix => this.predictMatrix(entry, matrix),
+            row,
+            background,
+            entry.features,
+            { samples: this.explainConfig.shapleySamples, seed: this.modelConfig.randomForest?.seed ?? 42 }
+        );
+
+        return {
+            method: 'sampled Shapley values',
+            baseValue,
+            prediction,
+            contributions: contributions.map(c => ({ ...c, value: featureObject[c.feature] ?? null }))
+        };
+    }
+
+    /**
+     * Inverse-MSE blend weights. A member with zero validation error takes all the weight.
+     * @param {Object} predictions - Validation predictions keyed by model type
+     * @param {Array<number>} labels
+     * @returns {Object} Weights keyed by model type, summing to 1
+     */
+    calculateEnsembleWeights(predictions, labels) {
+        const errors = Object.fromEntries(
+            Object.entries(predictions).map(([type, values]) => [type, this.meanSquaredError(values, labels)])
+        );
+        const perfect = Object.keys(errors).filter(type => errors[type] === 0);
+        const inverse = Object.fromEntries(
+            Object.entries(errors).map(([type, mse]) => [
+                type,
+                perfect.length ? (perfect.includes(type) ? 1 : 0) : 1 / mse
+            ])
+        );
+        const total = Object.values(inverse).reduce((sum, value) => sum + value, 0);
+        return Object.fromEntries(
+            Object.entries(inverse).map(([type, value]) => [type, value / total])
+        );
+    }
+
+    /**
+     * Cross-validate every ensemble member on a field's history.
+     *
+     * Strategies:
+     * - kfold: seeded random split into k folds
+     * - timeSeries: forward chaining; fold i trains on the first i blocks and tests on the next.
+     *   Leading folds with fewer than MIN_FOLD_TRAINING_SAMPLES training samples are skipped
+     * - season: whole seasons are held out together (uses `season` on each record, else the year)
+     *
+     * Models trained here are discarded; the field's stored model is not changed.
+     * @param {string} fieldId
+     * @param {Array} historicalData - Daily data records with a `yield` label
+     * @param {string} cropType
+     * @param {number} [k=5] - Number of folds
+     * @param {string} [strategy='kfold']
+     * @returns {Promise<Object>} Per-fold and aggregate RMSE, MAE, R², MAPE and bias for each model type
+     */
+    async crossValidate(fieldId, historicalData, cropType, k = 5, strategy = 'kfold') {
+        k = parseInt(k);
+        if (!Number.isInteger(k) || k < 2) {
+            throw new ValidationError('k must be an integer of at least 2');
+        }
+        if (!CROSS_VALIDATION_STRATEGIES.includes(strategy)) {
+            throw new ValidationError(`strategy must be one of: ${CROSS_VALIDATION_STRATEGIES.join(', ')}`);
+        }
+        this.validateDailyData(historicalData[0]);
+
+        const samples = [...historicalData].sort((a, b) => new Date(a.date) - new Date(b.date));
+        let folds = this.createFolds(samples, k, strategy, cropType);
+        if (strategy === 'timeSeries') {
+            folds = folds.filter(fold => fold.train.length >= MIN_FOLD_TRAINING_SAMPLES);
+        }
+        const minFolds = strategy === 'timeSeries' ? 1 : 2;
+        if (folds.length < minFolds || folds.some(fold => !fold.test.length)) {
+            throw new ModelError(`Not enough history for ${strategy} cross-validation: ${samples.length} samples`);
+        }
+        const smallFold = folds.findIndex(fold => fold.train.length < MIN_FOLD_TRAINING_SAMPLES);
+        if (smallFold !== -1) {
+            throw new ModelError(
+                `Fold ${smallFold + 1} of ${strategy} cross-validation has ${folds[smallFold].train.length} training samples; `
+                + `at least ${MIN_FOLD_TRAINING_SAMPLES} are required`
+            );
+        }
+
+        // Each fold fits its own schema so imputation never sees the held-out samples
+        const featureObjects = this.computeFeatureSeries(samples, cropType);
+        const labels = samples.map(d => d.yield);
+        const foldMatrices = folds.map(fold => {
+            const featureSchema = FeatureSchema.fit(fold.train.map(i => featureObjects[i]));
+            return {
+                train: fold.train.map(i => featureSchema.transform(featureObjects[i])),
+                test: fold.test.map(i => featureSchema.transform(featureObjects[i]))
+            };
+        });
+
+        const results = {};
+        for (const modelType of ENSEMBLE_MEMBERS) {
+            const foldResults = [];
+            const outOfFold = { predicted: [], actual: [] };
+
+            for (const [index, fold] of folds.entries()) {
+                let predicted;
+                try {
+                    const model = await this.createRegressor(modelType);
+                    await model.train(foldMatrices[index].train, fold.train.map(i => labels[i]));
+                    predicted = model.predict(foldMatrices[index].test);
+                } catch (error) {
+                    throw new ModelError(`Cross-validation fold ${index + 1} failed for ${modelType}: ${error.message}`);
+                }
+                const actual = fold.test.map(i => labels[i]);
+
+                outOfFold.predicted.push(...predicted);
+                outOfFold.actual.push(...actual);
+                foldResults.push({
+                    fold: index + 1,
+                    ...(fold.season !== undefined && { season: fold.season }),
+                    trainSize: fold.train.length,
+                    testSize: fold.test.length,
+                    metrics: this.calculateRegressionMetrics(predicted, actual)
+                });
+            }
+
+            results[modelType] = {
+                folds: foldResults,
+                aggregate: {
+                    mean: this.summarizeFoldMetrics(foldResults, 'mean'),
+                    std: this.summarizeFoldMetrics(foldResults, 'std'),
+                    pooled: this.calculateRegressionMetrics(outOfFold.predicted, outOfFold.actual)
+                }
+            };
+        }
+
+        return {
+            fieldId,
+            cropType,
+            strategy,
+            k: folds.length,
+            sampleCount: samples.length,
+            results,
+            timestamp: new Date()
+        };
     }
 
+    /**
+     * Split date-ordered samples into train/test index sets.
+     * @param {Array} samples - Records sorted by date
+     * @param {number} k
+     * @param {string} strategy
+     * @param {string} [cropType] - Selects the season calendar for the 'season' strategy
+     * @returns {Array<{train: Array<number>, test: Array<number>, season?: string}>}
+     */
+    createFolds(samples, k, strategy, cropType) {
+        const indices = samples.map((_, i) => i);
+
+        if (strategy === 'season') {
+            const seasonKeys = samples.map(d => this.getSeasonKey(d, d.cropType ?? cropType));
+            const seasons = [...new Set(seasonKeys)];
+            return seasons.map(season => ({
+                season,
+                train: indices.filter(i => seasonKeys[i] !== season),
+                test: indices.filter(i => seasonKeys[i] === season)
+            }));
+        }
+
+        if (strategy === 'timeSeries') {
+            const blocks = this.splitIntoBlocks(indices, k + 1);
+            return blocks.slice(1).map((test, i) => ({
+                train: blocks.slice(0, i + 1).flat(),
+                test
+            }));
+        }
+
+        const random = createRandom(this.modelConfig.randomForest?.seed ?? 42);
+        const blocks = this.splitIntoBlocks(shuffle(indices, random), k);
+        return blocks.map((test, i) => ({
+            train: blocks.filter((_, j) => j !== i).flat(),
+            test
+        }));
+    }
+
+    /**
+     * Split an array into at most n contiguous, non-empty blocks of near-equal size.
+     * @param {Array} array
+     * @param {number} n
+     * @returns {Array<Array>}
+     */
+    splitIntoBlocks(array, n) {
+        const blocks = [];
+        const count = Math.min(n, array.length);
+        for (let i = 0; i < count; i++) {
+            blocks.push(array.slice(
+                Math.floor(i * array.length / count),
+                Math.floor((i + 1) * array.length / count)
+            ));
+        }
+        return blocks;
+    }
+
+    /**
+     * Season a record belongs to for season-blocked validation: its `season` when given, else
+     * the label of the crop's season containing its date (e.g. '2024/25' for a Nov–Apr season).
+     * @param {Object} dailyData
+     * @param {string} [cropType]
+     * @returns {string}
+     */
+    getSeasonKey(dailyData, cropType = dailyData.cropType) {
+        if (dailyData.season !== undefined && dailyData.season !== null) return String(dailyData.season);
+        const { calendar } = this.getSeasonContext(dailyData, cropType);
+        return getSeasonLabel(new Date(dailyData.date), calendar);
+    }
+
+    /**
+     * Calculate regression error metrics.
+     * MAPE skips samples whose actual value is zero.
+     * @param {Array<number>} predicted
+     * @param {Array<number>} actual
+     * @returns {Object} rmse, mae, r2, mape (%) and bias (mean predicted - actual)
+     */
+    calculateRegressionMetrics(predicted, actual) {
+        const errors = predicted.map((value, i) => value - actual[i]);
+        const actualMean = this.mean(actual);
+        const totalSumOfSquares = actual.reduce((sum, value) => sum + (value - actualMean) ** 2, 0);
+        const residualSumOfSquares = errors.reduce((sum, error) => sum + error ** 2, 0);
+        const percentageErrors = errors.flatMap((error, i) => actual[i] !== 0 ? [Math.abs(error / actual[i])] : []);
+
+        return {
+            rmse: Math.sqrt(residualSumOfSquares / errors.length),
+            mae: this.mean(errors.map(Math.abs)),
+            r2: totalSumOfSquares !== 0 ? 1 - residualSumOfSquares / totalSumOfSquares : null,
+            mape: percentageErrors.length ? this.mean(percentageErrors) * 100 : null,
+            bias: this.mean(errors)
+        };
+    }
+
+    /**
+     * Mean or standard deviation of each metric across folds, ignoring undefined metrics.
+     * @param {Array} foldResults
+     * @param {string} statistic - 'mean' or 'std'
+     * @returns {Object}
+     */
+    summarizeFoldMetrics(foldResults, statistic) {
+        const summary = {};
+        for (const metric of Object.keys(foldResults[0].metrics)) {
+            const values = foldResults.map(f => f.metrics[metric]).filter(value => value !== null);
+            summary[metric] = !values.length
+                ? null
+                : statistic === 'mean' ? this.mean(values) : this.standardDeviation(values);
+        }
+        return summary;
+    }
+
+    /**
+     * Point prediction for a field; see predictYieldEnsemble for the members, interval and model source.
+     * @param {string} fieldId
+     * @param {Object|Array} dailyData - One day of data, or a field's daily series ending on the day
+     * @returns {Promise<{prediction: number, timestamp: Date}>}
+     */
     async predictYield(fieldId, dailyData) {
-        this.validateDailyData(dailyData);
-        const features = Object.values(this.computeFeatures(dailyData));
-        const model = this.models[fieldId]?.model;
-        if (!model) throw new Error('Model not found for fieldId');
-        const prediction = model.predict([features])[0];
-        return { prediction, timestamp: new Date() };
+        const { prediction, timestamp } = await this.predictYieldEnsemble(fieldId, dailyData);
+        return { prediction, timestamp };
+    }
+
+    /**
+     * Key under which a pooled model is stored alongside field models.
+     * @param {string} cropType
+     * @param {string} [region] - Province from data/zw.json
+     * @returns {string}
+     */
+    getPooledModelKey(cropType, region) {
+        return region
+            ? `${POOLED_MODEL_PREFIX}${cropType}:${region}`
+            : `${POOLED_MODEL_PREFIX}${cropType}`;
+    }
+
+    /**
+     * Train a model pooled across every field of a crop, optionally restricted to one province.
+     * With `byRegion`, a crop-wide model is trained plus one per province that has enough samples.
+     * @param {string} cropType
+     * @param {Array} historicalData - Daily data records from many fields, each with a `yield` label
+     * @param {Object} [options]
+     * @param {string} [options.region] - Province name
+     * @param {boolean} [options.byRegion=false]
+     * @param {string} [options.modelType='randomForest']
+     * @param {boolean} [options.activate=true]
+     * @param {boolean} [options.explain=false]
+     * @returns {Promise<Object>}
+     */
+    async trainPooledModel(cropType, historicalData, options = {}) {
+        const { region, byRegion = false, modelType = 'randomForest', activate = true, explain = false } = options;
+
+        if (region) {
+            const province = normalizeProvince(region);
+            if (!province) {
+                throw new ValidationError(`Unknown region: ${region}`);
+            }
+            const regionData = historicalData.filter(d => resolveProvince(d) === province);
+            if (!regionData.length) {
+                throw new ModelError(`No training records located in ${province}`);
+            }
+            return this.trainPooledScope(cropType, regionData, province, modelType, { activate, explain });
+        }
+
+        const result = await this.trainPooledScope(cropType, historicalData, null, modelType, { activate, explain });
+        if (!byRegion) return result;
+
+        const byProvince = {};
+        for (const d of historicalData) {
+            const province = resolveProvince(d);
+            if (province) (byProvince[province] = byProvince[province] || []).push(d);
+        }
+
+        const regions = {};
+        for (const [province, regionData] of Object.entries(byProvince)) {
+            if (regionData.length < this.poolingConfig.minFieldSamples) {
+                regions[province] = { success: false, error: `Only ${regionData.length} samples` };
+                continue;
+            }
+            try {
+                regions[province] = await this.trainPooledScope(cropType, regionData, province, modelType, { activate, explain });
+            } catch (error) {
+                if (error.name !== 'ModelError') throw error;
+                regions[province] = { success: false, error: error.message };
+            }
+        }
+        return { ...result, regions };
+    }
+
+    async trainPooledScope(cropType, historicalData, region, modelType, options) {
+        const key = this.getPooledModelKey(cropType, region);
+        const metadata = {
+            scope: region ? 'region' : 'crop',
+            region,
+            fieldCount: new Set(historicalData.map(d => d.fieldId)).size
+        };
+        const result = await this.trainModel(key, historicalData, cropType, modelType, { ...options, metadata });
+
+        return { ...result, modelKey: key, ...metadata };
+    }
+
+    /**
+     * Reason a field model should not answer on its own, or null if it is usable.
+     * @param {Object} entry
+     * @param {string} cropType
+     * @returns {string|null}
+     */
+    getFieldModelDeficiency(entry, cropType) {
+        if (!entry) return 'no field model';
+        if (cropType && entry.cropType !== cropType) return `field model trained for ${entry.cropType}`;
+        if (entry.sampleCount < this.poolingConfig.minFieldSamples) {
+            return `field model trained on ${entry.sampleCount} samples`;
+        }
+        const r2 = this.getVersionR2(entry);
+        if (r2 !== null && r2 < this.poolingConfig.minCrossValidationR2) {
+            return `field model cross-validated R² ${r2.toFixed(2)}`;
+        }
+        return null;
+    }
+
+    getVersionR2(entry) {
+        const metrics = entry.crossValidation?.metrics;
+        if (!metrics) return null;
+        if (entry.modelType !== 'ensemble') return metrics[entry.modelType]?.r2 ?? null;
+        const values = Object.values(metrics).map(m => m.r2).filter(value => value !== null);
+        return values.length ? Math.max(...values) : null;
+    }
+
+    /**
+     * Pick the model answering a prediction: the field model when it is adequately trained,
+     * else the pooled model for the field's province, else the crop-wide pooled model.
+     * An under-trained field model is still used when no pooled model exists.
+     * @param {string} fieldId
+     * @param {Object} dailyData
+     * @param {string} cropType
+     * @returns {{entry: Object, source: Object}}
+     */
+    selectModel(fieldId, dailyData, cropType) {
+        const fieldEntry = this.models[fieldId];
+        const deficiency = this.getFieldModelDeficiency(fieldEntry, cropType);
+        if (!deficiency) {
+            return { entry: fieldEntry, source: { type: 'field', modelKey: fieldId, version: fieldEntry.version } };
+        }
+
+        const pooledCrop = cropType || fieldEntry?.cropType;
+        const region = resolveProvince(dailyData);
+        const candidates = [
+            ...(region ? [{ type: 'region', region, modelKey: this.getPooledModelKey(pooledCrop, region) }] : []),
+            { type: 'crop', region: null, modelKey: this.getPooledModelKey(pooledCrop) }
+        ];
+        for (const candidate of candidates) {
+            const entry = this.models[candidate.modelKey];
+            if (entry) {
+                return { entry, source: { ...candidate, version: entry.version, fallbackReason: deficiency } };
+            }
+        }
+
+        if (fieldEntry && fieldEntry.cropType === pooledCrop) {
+            return {
+                entry: fieldEntry,
+                source: { type: 'field', modelKey: fieldId, version: fieldEntry.version, warning: deficiency }
+            };
+        }
+        if (fieldEntry) {
+            throw new ModelError(`Model for field ${fieldId} was trained for ${fieldEntry.cropType}, not ${cropType}, and no pooled ${cropType} model exists`);
+        }
+        throw new ModelError(`Model not found for fieldId: ${fieldId} and no pooled ${cropType} model exists`);
+    }
+
+    /**
+     * Predict yield with every member of the selected model and blend the results.
+     * Falls back to pooled crop models when the field model is missing or under-trained;
+     * `source` in the response says which model answered.
+     * Single-model entries are treated as a one-member ensemble.
+     * @param {string} fieldId
+     * @param {Object|Array} dailyData - Current day, or the season's daily series ending on the current day;
+     *   season-long features are only informative when the series is supplied
+     * @param {string} [cropType]
+     * @param {Object} [options]
+     * @param {boolean} [options.explain=false] - Include per-feature contributions to the prediction
+     * @returns {Promise<Object>} Per-model predictions, blended prediction and prediction interval
+     */
+    async predictYieldEnsemble(fieldId, dailyData, cropType, options = {}) {
+        const { current, series } = this.normalizeDailyInput(dailyData);
+        this.validateDailyData(current);
+        const { entry, source } = this.selectModel(fieldId, current, cropType);
+
+        const weights = entry.weights || { [entry.modelType]: 1 };
+        const featureObjects = this.computeFeatureSeries(series, cropType ?? entry.cropType);
+        const featureObject = featureObjects[featureObjects.length - 1];
+        const features = entry.featureSchema.transform(featureObject);
+
+        const predictions = {};
+        for (const [modelType, model] of Object.entries(this.getRegressors(entry))) {
+            predictions[modelType] = model.predict([features])[0];
+        }
+        const prediction = Object.entries(predictions)
+            .reduce((sum, [modelType, value]) => sum + weights[modelType] * value, 0);
+
+        // Combine holdout residual spread with the disagreement between members
+        const disagreement = Math.sqrt(Object.entries(predictions)
+            .reduce((sum, [modelType, value]) => sum + weights[modelType] * (value - prediction) ** 2, 0));
+        let interval = null;
+        if (entry.residualStd !== undefined) {
+            const sigma = Math.sqrt(entry.residualStd ** 2 + disagreement ** 2);
+            const margin = this.ensembleConfig.intervalZ * sigma;
+            interval = { lower: prediction - margin, upper: prediction + margin, z: this.ensembleConfig.intervalZ };
+        }
+
+        return {
+            fieldId,
+            cropType: entry.cropType,
+            modelType: entry.modelType,
+            source,
+            predictions,
+            weights,
+            prediction,
+            interval,
+            ...(options.explain && { explanation: this.explainPrediction(entry, featureObject) }),
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * Run predictYieldEnsemble for many fields through a bounded queue.
+     * Items are settled independently, so a failing item never aborts the rest of the batch.
+     * @param {Array<{fieldId: string, cropType: string, dailyData: Object|Array}>} items
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=4] - Predictions in flight at once
+     * @param {boolean} [options.explain=false]
+     * @returns {Promise<Array<{status: string, value?: Object, reason?: Error}>>} Results in item order
+     */
+    async predictBatch(items, { concurrency = DEFAULT_BATCH_CONCURRENCY, explain = false } = {}) {
+        const queue = new PQueue({ concurrency });
+
+        return Promise.allSettled(items.map(item => queue.add(async () => {
+            const { fieldId, cropType, dailyData } = item || {};
+            if (!fieldId || !cropType || !dailyData || typeof dailyData !== 'object') {
+                throw new ValidationError('Each item requires fieldId, cropType and dailyData');
+            }
+            return this.predictYieldEnsemble(fieldId, dailyData, cropType, { explain });
+        })));
+    }
+
+    /**
+     * Add a freshly trained model as the next numbered version of a field model.
+     * The version's cross-validation metrics are computed on the same training data.
+     * @param {string} fieldId
+     * @param {Array} historicalData
+     * @param {string} cropType
+     * @param {Object} entry - Trained model entry
+     * @param {Object} [options]
+     * @param {boolean} [options.activate=true]
+     * @param {Object} [options.metadata] - Extra properties stored with the version
+     * @returns {Promise<Object>} The registered entry
+     */
+    async registerVersion(fieldId, historicalData, cropType, entry, { activate = true, metadata = {} } = {}) {
+        Object.assign(entry, metadata);
+        entry.crossValidation = await this.summarizeCrossValidation(fieldId, historicalData, cropType);
+        const versions = this.modelVersions[fieldId] || (this.modelVersions[fieldId] = []);
+        entry.version = versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+        entry.frameworkVersion = this.version;
+        versions.push(entry);
+
+        if (activate || !this.models[fieldId]) {
+            this.models[fieldId] = entry;
+        }
+
+        if (this.modelStore) {
+            const record = this.serializeModel(fieldId, entry);
+            await this.checkSerialization(entry, record);
+            await this.modelStore.saveVersion(fieldId, record);
+            await this.modelStore.setActiveVersion(fieldId, this.models[fieldId].version);
+        }
+        return entry;
+    }
+
+    /**
+     * Pooled out-of-fold metrics per model type.
+     * @returns {Promise<Object>}
+     * @throws {ModelError} When cross-validation is not possible, since an unscored version
+     *   cannot be compared, ranked or checked for pooling
+     */
+    async summarizeCrossValidation(fieldId, historicalData, cropType) {
+        const { crossValidationFolds, crossValidationStrategy } = this.versioningConfig;
+        try {
+            const result = await this.crossValidate(
+                fieldId,
+                historicalData,
+                cropType,
+                crossValidationFolds,
+                crossValidationStrategy
+            );
+            return {
+                strategy: result.strategy,
+                k: result.k,
+                metrics: Object.fromEntries(
+                    Object.entries(result.results).map(([modelType, r]) => [modelType, r.aggregate.pooled])
+                )
+            };
+        } catch (error) {
+            throw new ModelError(`Model version not registered: cross-validation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cross-validated RMSE used to rank versions. Ensembles use the blend-weighted member RMSE,
+     * an upper bound on the error of the blend itself.
+     * @param {Object} entry
+     * @returns {number|null}
+     */
+    getVersionScore(entry) {
+        const metrics = entry.crossValidation?.metrics;
+        if (!metrics) return null;
+        if (entry.modelType !== 'ensemble') return metrics[entry.modelType]?.rmse ?? null;
+
+        return Object.entries(entry.weights)
+            .reduce((sum, [modelType, weight]) => sum + weight * metrics[modelType].rmse, 0);
+    }
+
+    getVersion(fieldId, version) {
+        const entry = (this.modelVersions[fieldId] || []).find(v => v.version === Number(version));
+        if (!entry) {
+            throw new NotFoundError(`Version ${version} not found for fieldId: ${fieldId}`);
+        }
+        return entry;
+    }
+
+    listVersions(fieldId) {
+        const versions = this.modelVersions[fieldId];
+        if (!versions?.length) {
+            throw new NotFoundError(`Model not found for fieldId: ${fieldId}`);
+        }
+        return versions.map(entry => this.describeVersion(fieldId, entry));
+    }
+
+    /**
+     * Make a stored version the active model for a field.
+     * @param {string} fieldId
+     * @param {number} version
+     * @returns {Promise<Object>} Description of the newly active version
+     */
+    async promoteVersion(fieldId, version) {
+        const entry = this.getVersion(fieldId, version);
+        this.models[fieldId] = entry;
+        if (this.modelStore) {
+            await this.modelStore.setActiveVersion(fieldId, entry.version);
+        }
+        return this.describeVersion(fieldId, entry);
+    }
+
+    /**
+     * Reactivate the highest version older than the active one.
+     * @param {string} fieldId
+     * @returns {Promise<Object>} Description of the newly active version
+     */
+    async rollbackModel(fieldId) {
+        const active = this.models[fieldId];
+        if (!active) {
+            throw new NotFoundError(`Model not found for fieldId: ${fieldId}`);
+        }
+        const previous = this.modelVersions[fieldId]
+            .filter(v => v.version < active.version)
+            .sort((a, b) => b.version - a.version)[0];
+        if (!previous) {
+            throw new ModelError(`No version older than ${active.version} to roll back to for fieldId: ${fieldId}`);
+        }
+        return this.promoteVersion(fieldId, previous.version);
+    }
+
+    /**
+     * Compare the metrics of two versions. Differences are `to - from`, so a negative
+     * RMSE difference means `to` is better.
+     * @param {string} fieldId
+     * @param {number} from
+     * @param {number} to
+     * @returns {Object}
+     */
+    compareVersions(fieldId, from, to) {
+        const a = this.getVersion(fieldId, from);
+        const b = this.getVersion(fieldId, to);
+
+        const differences = {};
+        for (const modelType of Object.keys(b.crossValidation?.metrics || {})) {
+            const before = a.crossValidation?.metrics?.[modelType];
+            if (!before) continue;
+            differences[modelType] = Object.fromEntries(
+                Object.entries(b.crossValidation.metrics[modelType]).map(([metric, value]) => [
+                    metric,
+                    value !== null && before[metric] !== null ? value - before[metric] : null
+                ])
+            );
+        }
+
+        const scores = { [a.version]: this.getVersionScore(a), [b.version]: this.getVersionScore(b) };
+        const comparable = scores[a.version] !== null && scores[b.version] !== null;
+
+        return {
+            fieldId,
+            from: this.describeVersion(fieldId, a),
+            to: this.describeVersion(fieldId, b),
+            crossValidationDifferences: differences,
+            scores,
+            betterVersion: comparable
+                ? (scores[b.version] < scores[a.version] ? b.version : a.version)
+                : null
+        };
+    }
+
+    /**
+     * Serialize one version of a field model for the model store.
+     * @param {string} fieldId
+     * @param {Object} entry
+     * @returns {Object}
+     */
+    serializeModel(fieldId, entry) {
+        const regressors = this.getRegressors(entry);
+
+        return {
+            ...this.describeVersion(fieldId, entry),
+            featureSchema: entry.featureSchema.toJSON(),
+            background: entry.background,
+            weights: entry.weights,
+            residualStd: entry.residualStd,
+            models: Object.fromEntries(
+                Object.entries(regressors).map(([modelType, regressor]) => [modelType, regressor.toJSON()])
+            )
+        };
+    }
+
+    /**
+     * Restore a serialized record and check it predicts like the trained entry, so a version is
+     * never stored in a form that cannot be loaded back.
+     * @param {Object} entry - Trained model entry
+     * @param {Object} record - Output of serializeModel
+     * @throws {ModelError} When the restored model fails to load or predicts differently
+     */
+    async checkSerialization(entry, record) {
+        const row = entry.background?.[0] ?? entry.featureSchema.transform({});
+        const expected = this.predictMatrix(entry, [row])[0];
+        let restored;
+        try {
+            restored = await this.deserializeModel(JSON.parse(JSON.stringify(record)));
+        } catch (error) {
+            throw new ModelError(`Trained ${entry.modelType} model cannot be restored: ${error.message}`);
+        }
+        const actual = this.predictMatrix(restored, [row])[0];
+        Object.values(this.getRegressors(restored)).forEach(regressor => regressor.free?.());
+
+        if (!(Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected)))) {
+            throw new ModelError(`Restored ${entry.modelType} model predicts ${actual} instead of ${expected}`);
+        }
+    }
+
+    /**
+     * Rebuild an in-memory model entry from a stored record.
+     * Records saved before feature schemas existed were trained on the numeric features
+     * listed in `features`, so they get a numeric-only schema in that order.
+     * @param {Object} record - Output of serializeModel
+     * @returns {Promise<Object>}
+     */
+    async deserializeModel(record) {
+        const { fieldId, active, models, featureSchema, ...entry } = record;
+        const regressors = {};
+        for (const [modelType, json] of Object.entries(models)) {
+            regressors[modelType] = await this.loadRegressor(modelType, json);
+        }
+
+        return {
+            ...entry,
+            featureSchema: featureSchema
+                ? FeatureSchema.fromJSON(featureSchema)
+                : new FeatureSchema({ numeric: entry.features || [] }),
+            trainedAt: new Date(entry.trainedAt),
+            ...(entry.modelType === 'ensemble'
+                ? { members: regressors }
+                : { model: regressors[entry.modelType] })
+        };
+    }
+
+    /**
+     * Metadata of the active field model, without the regressors themselves.
+     * @param {string} fieldId
+     * @returns {Object|null}
+     */
+    describeModel(fieldId) {
+        const entry = this.models[fieldId];
+        return entry ? this.describeVersion(fieldId, entry) : null;
+    }
+
+    describeVersion(fieldId, entry) {
+        return {
+            fieldId,
+            version: entry.version,
+            frameworkVersion: entry.frameworkVersion,
+            active: this.models[fieldId] === entry,
+            cropType: entry.cropType,
+            modelType: entry.modelType,
+            features: entry.features,
+            trainedAt: entry.trainedAt,
+            dataHash: entry.dataHash,
+            metrics: entry.metrics,
+            crossValidation: entry.crossValidation,
+            featureImportance: entry.featureImportance,
+            sampleCount: entry.sampleCount,
+            ...(entry.scope && { scope: entry.scope, region: entry.region, fieldCount: entry.fieldCount })
+        };
+    }
+
+    /**
+     * Load every model version from the model store into memory.
+     * Versions written by a different major framework version are skipped, since their
+     * feature vectors may not match the current pipeline.
+     * @returns {Promise<number>} Number of fields with an active model
+     */
+    async loadModels() {
+        if (!this.modelStore) return 0;
+
+        const major = String(this.version).split('.')[0];
+        const fields = await this.modelStore.loadAll();
+        for (const { fieldId, activeVersion, versions } of fields) {
+            const restored = [];
+            for (const record of versions) {
+                const recordMajor = String(record.frameworkVersion ?? this.version).split('.')[0];
+                if (recordMajor !== major) {
+                    console.warn(`Skipping model ${fieldId} v${record.version} built by framework ${record.frameworkVersion}`);
+                    continue;
+                }
+                try {
+                    restored.push(await this.deserializeModel(record));
+                } catch (error) {
+                    console.warn(`Failed to restore model ${fieldId} v${record.version}:`, error.message);
+                }
+            }
+            if (!restored.length) continue;
+
+            this.modelVersions[fieldId] = restored;
+            this.models[fieldId] = restored.find(v => v.version === activeVersion) || restored[restored.length - 1];
+        }
+        return Object.keys(this.models).length;
+    }
+
+    listModels() {
+        return Object.keys(this.models).map(fieldId => ({
+            ...this.describeModel(fieldId),
+            versionCount: this.modelVersions[fieldId]?.length ?? 1
+        }));
+    }
+
+    /**
+     * Remove every version of a field model from memory and from the model store.
+     * @param {string} fieldId
+     * @returns {Promise<boolean>} Whether a model existed
+     */
+    async deleteModel(fieldId) {
+        const existed = Boolean(this.models[fieldId]);
+        delete this.models[fieldId];
+        delete this.modelVersions[fieldId];
+        const removed = this.modelStore ? await this.modelStore.remove(fieldId) : false;
+        return existed || removed;
     }
 
     addToCache(key, value) {
@@ -402,6 +1724,16 @@ class YieldPredictionModel {
     mean(array) {
         return array.reduce((sum, val) => sum + val, 0) / array.length;
     }
+
+    standardDeviation(array) {
+        if (array.length < 2) return 0;
+        const avg = this.mean(array);
+        return Math.sqrt(array.reduce((sum, val) => sum + (val - avg) ** 2, 0) / (array.length - 1));
+    }
+
+    meanSquaredError(predicted, actual) {
+        return this.mean(predicted.map((value, i) => (value - actual[i]) ** 2));
+    }
 }
 
 module.exports = YieldPredictionModel;
\ No newline at end of file
@@ -1,5 +1,5 @@
 const express = require('express');
-const { vegetationIndexSchema } = require('../middleware/polygon.validator');
+const { vegetationIndexSchema, vegetationTimeSeriesSchema } = require('../middleware/polygon.validator');
 const vegetationIndexController = require('../controllers/vegetation.index.controller');
 
 const router = express.Router();
@@ -19,4 +19,19 @@ router.post('/analyze', async (req, res, next) => {
     }
 }, vegetationIndexController.analyzeRegion);
 
+router.post('/timeseries', async (req, res, next) => {
+    try {
+        const { error } = vegetationTimeSeriesSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, vegetationIndexController.timeSeries);
+
 module.exports = router;
\ No newline at end of file
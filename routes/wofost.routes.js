@@ -0,0 +1,130 @@
+const express = require('express');
+const {
+    wofostSimulationSchema,
+    wofostScenarioSchema,
+    wofostAssimilationSchema,
+    wofostCalibrationSchema,
+    wofostSeasonSchema,
+    wofostSeasonAdvanceSchema,
+    wofostWeatherImportSchema
+} = require('../middleware/wofost.validator');
+const wofostController = require('../controllers/wofost.controller');
+
+const router = express.Router();
+
+router.post('/wofost', async (req, res, next) => {
+    try {
+        const { error } = wofostSimulationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, wofostController.simulate);
+
+router.post('/wofost/scenarios', async (req, res, next) => {
+    try {
+        const { error } = wofostScenarioSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, wofostController.compareScenarios);
+
+router.post('/wofost/assimilate', async (req, res, next) => {
+    try {
+        const { error } = wofostAssimilationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, wofostController.assimilate);
+
+router.post('/wofost/calibrate', async (req, res, next) => {
+    try {
+        const { error } = wofostCalibrationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, wofostController.calibrate);
+
+router.post('/wofost/seasons', async (req, res, next) => {
+    try {
+        const { error } = wofostSeasonSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, wofostController.createSeason);
+
+router.get('/wofost/seasons', wofostController.listSeasons);
+
+router.post('/wofost/seasons/advance', wofostController.advanceAllSeasons);
+
+router.get('/wofost/seasons/:seasonId', wofostController.getSeason);
+
+router.post('/wofost/seasons/:seasonId/advance', async (req, res, next) => {
+    try {
+        const { error } = wofostSeasonAdvanceSchema.validate(req.body ?? {});
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, wofostController.advanceSeason);
+
+router.delete('/wofost/seasons/:seasonId', wofostController.deleteSeason);
+
+router.post('/wofost/weather/import', async (req, res, next) => {
+    try {
+        const { error } = wofostWeatherImportSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: error.details
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, wofostController.importWeather);
+
+router.get('/crop-profiles', wofostController.listCropProfiles);
+
+module.exports = router;
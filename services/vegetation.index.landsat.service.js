@@ -1,7 +1,89 @@
 const ee = require('@google/earthengine');
+const { landsatClearMask, applyClearMask } = require('../utils/cloud-masking');
+
+// The Sentinel-2 index set without NDRE and CIrededge, which need a red-edge band Landsat lacks
+const INDEX_NAMES = ['NDVI', 'GNDVI', 'RGR', 'IPVI', 'SAVI', 'OSAVI', 'CIgreen'];
+
+// Collection 2 Level-2 surface reflectance: reflectance = DN * 0.0000275 - 0.2
+const REFLECTANCE_MULTIPLIER = 0.0000275;
+const REFLECTANCE_OFFSET = -0.2;
+
+// OLI bands renamed to the band names the Sentinel-2 service uses
+const HARMONISED_BANDS = {
+    SR_B2: 'BLUE',
+    SR_B3: 'GREEN',
+    SR_B4: 'RED',
+    SR_B5: 'NIR',
+    SR_B6: 'SWIR1',
+    SR_B7: 'SWIR2'
+};
+
+// Scenes are masked per pixel, so the scene-wide cloud filter only drops scenes that are almost all cloud
+const DEFAULT_SCENE_CLOUD_COVER = 80;
+
+// Share of the polygon that must be clear for a scene to be used
+const DEFAULT_MIN_CLEAR_FRACTION = 0.5;
+
+class VegetationIndexServiceLandsat {
+    /**
+     * Landsat 8 and 9 Collection 2 Level-2 scenes over the region, merged.
+     * @param {ee.Geometry} region
+     * @param {string} startDate
+     * @param {string} endDate
+     * @returns {ee.ImageCollection}
+     */
+    static getCollection(region, startDate, endDate) {
+        return ee.ImageCollection('LANDSAT/LC08/C02/T1_L2')
+            .merge(ee.ImageCollection('LANDSAT/LC09/C02/T1_L2'))
+            .filterBounds(region)
+            .filterDate(startDate, endDate);
+    }
+
+    /**
+     * Surface reflectance with harmonised band names, with every index in INDEX_NAMES added as a band.
+     * @param {ee.Image} image - Collection 2 Level-2 image
+     * @returns {ee.Image}
+     */
+    static addIndices(image) {
+        const bands = image.select(Object.keys(HARMONISED_BANDS), Object.values(HARMONISED_BANDS))
+            .multiply(REFLECTANCE_MULTIPLIER)
+            .add(REFLECTANCE_OFFSET);
+        const reflectance = {
+            'NIR': bands.select('NIR'),
+            'RED': bands.select('RED')
+        };
+
+        const indices = {
+            NDVI: bands.normalizedDifference(['NIR', 'RED']).rename('NDVI'),
+            GNDVI: bands.normalizedDifference(['NIR', 'GREEN']).rename('GNDVI'),
+            RGR: bands.select('RED').divide(bands.select('GREEN')).rename('RGR'),
+            IPVI: bands.select('NIR').divide(
+                bands.select('NIR').add(bands.select('RED'))
+            ).rename('IPVI'),
+            SAVI: bands.expression('1.5 * (NIR - RED) / (NIR + RED + 0.5)', reflectance).rename('SAVI'),
+            OSAVI: bands.expression('(NIR - RED) / (NIR + RED + 0.16)', reflectance).rename('OSAVI'),
+            CIgreen: bands.select('NIR').divide(bands.select('GREEN'))
+                .subtract(1).rename('CIgreen')
+        };
+
+        return bands.addBands(Object.values(indices));
+    }
 
-class VegetationIndexServiceLandsat9 {
-    static async calculateIndices(polygon, startDate, endDate) {
+    /**
+     * Index statistics over the polygon from the Landsat 8/9 scene with the largest clear fraction,
+     * with cloud, shadow, snow and saturated pixels masked from QA_PIXEL and QA_RADSAT.
+     * @param {Object} polygon - GeoJSON Feature with Polygon geometry
+     * @param {string} startDate
+     * @param {string} endDate
+     * @param {Object} [options]
+     * @param {number} [options.maxCloudCover=80] - Scene cloud percentage above which scenes are skipped
+     * @param {number} [options.minClearFraction=0.5] - Share of the polygon that must be clear
+     * @returns {Promise<Object>}
+     */
+    static async calculateIndices(polygon, startDate, endDate, {
+        maxCloudCover = DEFAULT_SCENE_CLOUD_COVER,
+        minClearFraction = DEFAULT_MIN_CLEAR_FRACTION
+    } = {}) {
         try {
             console.log('Input parameters:', {
                 startDate,
@@ -18,160 +100,76 @@ class VegetationIndexServiceLandsat9 {
 
             const region = ee.Geometry.Polygon(polygon.geometry.coordinates);
 
-            // Check polygon area
-            const area = region.area(1);
-            const areaInHa = ee.Number(area).divide(10000); // Convert to hectares
-
-            // Force computation of area before comparison
-            const actualArea = await areaInHa.getInfo();
-            if (actualArea > 20) { // Simple JavaScript comparison
-                throw new Error(`Polygon area exceeds the allowed limit. ${actualArea} ha provided, 20 ha allowed.`);
-            }
-
-            // Add reasonable cloud cover threshold
-            // const initialCollection = ee.ImageCollection('LANDSAT/LC09/C02/T1_L2')
-            //     .filterBounds(region)
-            //     .filter(ee.Filter.notNull(['quality']))
-            //     .filter(ee.Filter.lt('cloud_cover', 20));  
-
-            const initialCollection = ee.ImageCollection('LANDSAT/LC09/C02/T1_L2')
-                .filterBounds(region);
-
-            console.log('Collection info:', await initialCollection.getInfo());
-
-            const initialSize = await initialCollection.size().getInfo();
-            console.log('Initial collection size:', initialSize);
-
-            const dateFiltered = initialCollection.filterDate(startDate, endDate);
+            const dateFiltered = this.getCollection(region, startDate, endDate);
             const dateFilteredSize = await dateFiltered.size().getInfo();
             console.log('Collection size after date filter:', dateFilteredSize);
 
-            // Add cloud masking and quality scoring
-            const processedCollection = dateFiltered
-                .map(function (image) {
-                    const masked = image.updateMask(image.select('quality').lt(2));
-                    return masked.addBands(
-                        ee.Image.constant(image.get('quality')).rename('score')
-                    );
-                })
-                .sort('system:time_start', false);
+            const cloudFiltered = dateFiltered.filter(ee.Filter.lt('CLOUD_COVER', maxCloudCover));
+            const cloudFilteredSize = await cloudFiltered.size().getInfo();
+            console.log('Collection size after cloud filter:', cloudFilteredSize);
+
+            // Rank scenes by how much of the polygon is clear rather than by scene cloud cover
+            const processedCollection = applyClearMask(cloudFiltered, region, landsatClearMask, 30)
+                .filter(ee.Filter.gte('CLEAR_FRACTION', minClearFraction))
+                .sort('CLEAR_FRACTION', false);
 
             const finalSize = await processedCollection.size().getInfo();
             console.log('Final collection size:', finalSize);
 
             if (finalSize === 0) {
                 let errorMessage = 'No suitable images found. ';
-                if (initialSize === 0) {
-                    errorMessage += 'No images found for the specified region. ';
-                } else if (dateFilteredSize === 0) {
-                    errorMessage += `No images found between ${startDate} and ${endDate}. `;
+                if (dateFilteredSize === 0) {
+                    errorMessage += `No Landsat 8/9 images found for the region between ${startDate} and ${endDate}. `;
+                } else if (cloudFilteredSize === 0) {
+                    errorMessage += `All images exceeded cloud coverage threshold of ${maxCloudCover}%. `;
+                } else {
+                    errorMessage += `No image is clear over at least ${minClearFraction * 100}% of the polygon. `;
                 }
                 errorMessage += 'Try adjusting your search criteria.';
                 throw new Error(errorMessage);
             }
 
-            // Select best image based on quality score
-            const image = processedCollection
-                .sort('quality')
-                .sort('cloud_cover')
-                .first();
+            const image = processedCollection.first();
             const imageProperties = await image.toDictionary().getInfo();
             console.log('Selected image properties:', {
                 date: imageProperties['system:time_start'],
-                quality: imageProperties['quality']
+                spacecraft: imageProperties['SPACECRAFT_ID'],
+                cloudCover: imageProperties['CLOUD_COVER'],
+                clearFraction: imageProperties['CLEAR_FRACTION']
             });
 
-            return imageProperties;
-
-            // // Optimized band selection
-            // const requiredBands = ['B', 'G', 'R', 'N', 'P'];
-            // const selectedImage = image.select(requiredBands);
-
-            // const bands = {
-            //     blue: selectedImage.select('B').rename('BLUE'),
-            //     green: selectedImage.select('G').rename('GREEN'),
-            //     red: selectedImage.select('R').rename('RED'),
-            //     nir: selectedImage.select('N').rename('NIR'),
-            //     pan: selectedImage.select('P').rename('PAN')
-            // };
-
-            // const compositeBands = ee.Image([
-            //     bands.blue,
-            //     bands.green,
-            //     bands.red,
-            //     bands.nir,
-            //     bands.pan
-            // ]);
-
-            // const indices = {
-            //     NDVI: compositeBands.normalizedDifference(['NIR', 'RED']).rename('NDVI'),
-            //     GNDVI: compositeBands.normalizedDifference(['NIR', 'GREEN']).rename('GNDVI'),
-            //     RGR: compositeBands.select('RED').divide(compositeBands.select('GREEN')).rename('RGR'),
-            //     IPVI: compositeBands.select('NIR').divide(
-            //         compositeBands.select('NIR').add(compositeBands.select('RED'))
-            //     ).rename('IPVI'),
-            //     SAVI: compositeBands.expression(
-            //         '1.5 * (NIR - RED) / (NIR + RED + 0.5)',
-            //         {
-            //             'NIR': compositeBands.select('NIR'),
-            //             'RED': compositeBands.select('RED')
-            //         }
-            //     ).rename('SAVI'),
-            //     OSAVI: compositeBands.expression(
-            //         '(NIR - RED) / (NIR + RED + 0.16)',
-            //         {
-            //             'NIR': compositeBands.select('NIR'),
-            //             'RED': compositeBands.select('RED')
-            //         }
-            //     ).rename('OSAVI'),
-            //     CIgreen: compositeBands.select('NIR').divide(compositeBands.select('GREEN'))
-            //         .subtract(1).rename('CIgreen')
-            // };
-
-            // const imageWithIndices = compositeBands.addBands(Object.values(indices));
-
-            // // CRUCIAL CHANGE: Use sampleRegion()
-            // const samples = imageWithIndices.reduceRegion({
-            //     reducer: ee.Reducer.mean(),
-            //     geometry: region,
-            //     scale: 3,
-            //     maxPixels: 1e9
-            // });
-
-            // const sampledData = await samples.getInfo();
-
-            // // Process the sampled data client-side
-            // const stats = {};
-            // const bandNames = imageWithIndices.bandNames().getInfo();
-            // bandNames.forEach(band => {
-            //     const values = sampledData.features.map(feature => feature.properties[band]);
-            //     stats[band] = {
-            //         mean: values.reduce((sum, val) => sum + val, 0) / values.length,
-            //         // Add other stats like min, max, stdDev if needed
-            //     };
-            // });
-            // const mapId = await imageWithIndices.select('NDVI').getMap({
-            //     min: -1,
-            //     max: 1,
-            //     palette: ['red', 'white', 'green']
-            // });
-            // return {
-            //     statistics: stats,
-            //     mapUrl: `https://earthengine.googleapis.com/map/${mapId.mapid}`,
-            //     timestamp: new Date().toISOString(),
-            //     imageMetadata: {
-            //         acquisitionDate: image.get('system:time_start'),
-            //         resolution: '2m multispectral, 0.8m panchromatic',
-            //         cloudCover: image.get('cloud_cover'),
-            //         sunAzimuth: image.get('sun_azimuth'),
-            //         sunElevation: image.get('sun_elevation'),
-            //         qualityScore: image.get('quality'),
-            //         processingLevel: image.get('processing_level'),
-            //         spacecraft: image.get('spacecraft'),
-            //         orbitNumber: image.get('orbit_number')
-            //     }
-            // };
+            const imageWithIndices = this.addIndices(image);
+
+            const stats = await imageWithIndices.reduceRegion({
+                reducer: ee.Reducer.mean(),
+                geometry: region,
+                scale: 30,
+                maxPixels: 1e9,
+                tileScale: 4
+            }).getInfo();
 
+            const mapId = await imageWithIndices.select('NDVI').getMap({
+                min: -1,
+                max: 1,
+                palette: ['red', 'white', 'green']
+            });
+
+            return {
+                statistics: stats,
+                mapUrl: `https://earthengine.googleapis.com/map/${mapId.mapid}`,
+                timestamp: new Date().toISOString(),
+                imageMetadata: {
+                    acquisitionDate: new Date(imageProperties['system:time_start']).toISOString(),
+                    spacecraft: imageProperties['SPACECRAFT_ID'],
+                    collection: 'Collection 2 Level-2',
+                    resolution: '30m',
+                    cloudCover: imageProperties['CLOUD_COVER'],
+                    cloudMask: 'qa_pixel',
+                    clearFraction: imageProperties['CLEAR_FRACTION'],
+                    sunAzimuth: imageProperties['SUN_AZIMUTH'],
+                    sunElevation: imageProperties['SUN_ELEVATION']
+                }
+            };
         } catch (error) {
             console.error('Error in calculateIndices:', error);
             throw new Error(`Vegetation index calculation failed: ${error.message}`);
@@ -179,4 +177,6 @@ class VegetationIndexServiceLandsat9 {
     }
 }
 
-module.exports = VegetationIndexServiceLandsat9;
\ No newline at end of file
+VegetationIndexServiceLandsat.INDEX_NAMES = INDEX_NAMES;
+
+module.exports = VegetationIndexServiceLandsat;
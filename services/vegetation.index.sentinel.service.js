@@ -1,7 +1,109 @@
 const ee = require('@google/earthengine');
+const { smoothSeries } = require('../utils/smoothing');
+const { withCloudProbability, sentinel2ClearMask, applyClearMask } = require('../utils/cloud-masking');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const INDEX_NAMES = ['NDVI', 'GNDVI', 'RGR', 'NDRE', 'IPVI', 'SAVI', 'OSAVI', 'CIgreen', 'CIrededge'];
+
+// S2_SR_HARMONIZED stores surface reflectance scaled by 10000
+const REFLECTANCE_SCALE = 0.0001;
+
+// Scenes are masked per pixel, so the tile-wide cloud filter only drops scenes that are almost all cloud
+const DEFAULT_SCENE_CLOUD_COVER = 80;
+
+// Share of the polygon that must be clear for a scene to be used
+const DEFAULT_MIN_CLEAR_FRACTION = 0.5;
 
 class VegetationIndexServiceSentinel2A {
-    static async calculateIndices(polygon, startDate, endDate) {
+    /**
+     * Surface reflectance resampled to 10 m, with every index in INDEX_NAMES added as a band.
+     * Band names match the Landsat service so results are comparable across sensors.
+     * @param {ee.Image} image - Sentinel-2 L2A image
+     * @returns {ee.Image}
+     */
+    static addIndices(image) {
+        // Band selection with resolution comments
+        const bands = {
+            blue: image.select('B2').rename('BLUE'),         // 10m
+            green: image.select('B3').rename('GREEN'),       // 10m
+            red: image.select('B4').rename('RED'),           // 10m
+            redEdge1: image.select('B5').rename('RED_EDGE1'), // 20m
+            redEdge2: image.select('B6').rename('RED_EDGE2'), // 20m
+            redEdge3: image.select('B7').rename('RED_EDGE3'), // 20m
+            nir: image.select('B8').rename('NIR'),           // 10m
+            nir2: image.select('B8A').rename('NIR2'),        // 20m
+            swir1: image.select('B11').rename('SWIR1'),      // 20m
+            swir2: image.select('B12').rename('SWIR2')       // 20m
+        };
+
+        // Resample 20m bands to 10m for consistent calculations
+        const resampledBands = ee.Image([
+            bands.blue,
+            bands.green,
+            bands.red,
+            bands.redEdge1.resample('bilinear'),
+            bands.redEdge2.resample('bilinear'),
+            bands.redEdge3.resample('bilinear'),
+            bands.nir,
+            bands.nir2.resample('bilinear'),
+            bands.swir1.resample('bilinear'),
+            bands.swir2.resample('bilinear')
+        ]).multiply(REFLECTANCE_SCALE);
+        const reflectance = {
+            'NIR': resampledBands.select('NIR'),
+            'RED': resampledBands.select('RED')
+        };
+
+        // Index Calculations
+        const indices = {
+            NDVI: resampledBands.normalizedDifference(['NIR', 'RED']).rename('NDVI'),
+            GNDVI: resampledBands.normalizedDifference(['NIR', 'GREEN']).rename('GNDVI'),
+            RGR: resampledBands.select('RED').divide(resampledBands.select('GREEN')).rename('RGR'),
+            NDRE: resampledBands.normalizedDifference(['NIR', 'RED_EDGE1']).rename('NDRE'),
+            IPVI: resampledBands.select('NIR').divide(
+                resampledBands.select('NIR').add(resampledBands.select('RED'))
+            ).rename('IPVI'),
+            SAVI: resampledBands.expression('1.5 * (NIR - RED) / (NIR + RED + 0.5)', reflectance).rename('SAVI'),
+            OSAVI: resampledBands.expression('(NIR - RED) / (NIR + RED + 0.16)', reflectance).rename('OSAVI'),
+            CIgreen: resampledBands.select('NIR').divide(resampledBands.select('GREEN'))
+                .subtract(1).rename('CIgreen'),
+            CIrededge: resampledBands.select('NIR').divide(resampledBands.select('RED_EDGE1'))
+                .subtract(1).rename('CIrededge')
+        };
+
+        // Combine all bands and indices
+        return resampledBands.addBands(Object.values(indices));
+    }
+
+    /**
+     * Mask cloud and shadow per pixel and set each image's clear fraction over the region as CLEAR_FRACTION.
+     * @param {ee.ImageCollection} collection
+     * @param {ee.Geometry} region
+     * @param {string} cloudMask - 'scl', 'qa60' or 's2cloudless'
+     * @returns {ee.ImageCollection}
+     */
+    static applyCloudMask(collection, region, cloudMask) {
+        const source = cloudMask === 's2cloudless' ? withCloudProbability(collection) : collection;
+        return applyClearMask(source, region, image => sentinel2ClearMask(image, cloudMask), 10);
+    }
+
+    /**
+     * Index statistics over the polygon from the scene with the largest clear fraction.
+     * @param {Object} polygon - GeoJSON Feature with Polygon geometry
+     * @param {string} startDate
+     * @param {string} endDate
+     * @param {Object} [options]
+     * @param {string} [options.cloudMask='scl'] - 'scl', 'qa60' or 's2cloudless'
+     * @param {number} [options.maxCloudCover=80] - Scene cloud percentage above which scenes are skipped
+     * @param {number} [options.minClearFraction=0.5] - Share of the polygon that must be clear
+     * @returns {Promise<Object>}
+     */
+    static async calculateIndices(polygon, startDate, endDate, {
+        cloudMask = 'scl',
+        maxCloudCover = DEFAULT_SCENE_CLOUD_COVER,
+        minClearFraction = DEFAULT_MIN_CLEAR_FRACTION
+    } = {}) {
         try {
             // Input validation with detailed logging
             console.log('Input parameters:', {
@@ -32,7 +134,7 @@ class VegetationIndexServiceSentinel2A {
             console.log('Collection size after date filter:', dateFilteredSize);
 
             const cloudFiltered = dateFiltered
-                .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 20));
+                .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', maxCloudCover));
             const cloudFilteredSize = await cloudFiltered.size().getInfo();
             console.log('Collection size after cloud filter:', cloudFilteredSize);
 
@@ -52,10 +154,10 @@ class VegetationIndexServiceSentinel2A {
                 }
             }
 
-            // Sort by cloud coverage and date
-            s2Collection = s2Collection
-                .sort('CLOUDY_PIXEL_PERCENTAGE')
-                .sort('system:time_start', true);
+            // Rank scenes by how much of the polygon is clear rather than by tile cloud cover
+            s2Collection = this.applyCloudMask(s2Collection, region, cloudMask)
+                .filter(ee.Filter.gte('CLEAR_FRACTION', minClearFraction))
+                .sort('CLEAR_FRACTION', false);
 
             const finalSize = await s2Collection.size().getInfo();
             console.log('Final collection size:', finalSize);
@@ -68,7 +170,9 @@ class VegetationIndexServiceSentinel2A {
                 } else if (dateFilteredSize === 0) {
                     errorMessage += `No images found between ${startDate} and ${endDate}. `;
                 } else if (cloudFilteredSize === 0) {
-                    errorMessage += 'All images exceeded cloud coverage threshold of 20%. ';
+                    errorMessage += `All images exceeded cloud coverage threshold of ${maxCloudCover}%. `;
+                } else {
+                    errorMessage += `No image is clear over at least ${minClearFraction * 100}% of the polygon. `;
                 }
                 errorMessage += 'Try adjusting your search criteria.';
                 throw new Error(errorMessage);
@@ -80,68 +184,11 @@ class VegetationIndexServiceSentinel2A {
             console.log('Selected image properties:', {
                 date: imageProperties['system:time_start'],
                 cloudCover: imageProperties['CLOUDY_PIXEL_PERCENTAGE'],
+                clearFraction: imageProperties['CLEAR_FRACTION'],
                 processingBaseline: imageProperties['PROCESSING_BASELINE']
             });
 
-            // Band selection with resolution comments
-            const bands = {
-                blue: image.select('B2').rename('BLUE'),         // 10m
-                green: image.select('B3').rename('GREEN'),       // 10m
-                red: image.select('B4').rename('RED'),           // 10m
-                redEdge1: image.select('B5').rename('RED_EDGE1'), // 20m
-                redEdge2: image.select('B6').rename('RED_EDGE2'), // 20m
-                redEdge3: image.select('B7').rename('RED_EDGE3'), // 20m
-                nir: image.select('B8').rename('NIR'),           // 10m
-                nir2: image.select('B8A').rename('NIR2'),        // 20m
-                swir1: image.select('B11').rename('SWIR1'),      // 20m
-                swir2: image.select('B12').rename('SWIR2')       // 20m
-            };
-
-            // Resample 20m bands to 10m for consistent calculations
-            const resampledBands = ee.Image([
-                bands.blue,
-                bands.green,
-                bands.red,
-                bands.redEdge1.resample('bilinear'),
-                bands.redEdge2.resample('bilinear'),
-                bands.redEdge3.resample('bilinear'),
-                bands.nir,
-                bands.nir2.resample('bilinear'),
-                bands.swir1.resample('bilinear'),
-                bands.swir2.resample('bilinear')
-            ]);
-
-            // Index Calculations
-            const indices = {
-                NDVI: resampledBands.normalizedDifference(['NIR', 'RED']).rename('NDVI'),
-                GNDVI: resampledBands.normalizedDifference(['NIR', 'GREEN']).rename('GNDVI'),
-                RGR: resampledBands.select('RED').divide(resampledBands.select('GREEN')).rename('RGR'),
-                NDRE: resampledBands.normalizedDifference(['NIR', 'RED_EDGE1']).rename('NDRE'),
-                IPVI: resampledBands.select('NIR').divide(
-                    resampledBands.select('NIR').add(resampledBands.select('RED'))
-                ).rename('IPVI'),
-                SAVI: resampledBands.expression(
-                    '1.5 * (NIR - RED) / (NIR + RED + 0.5)',
-                    {
-                        'NIR': resampledBands.select('NIR'),
-                        'RED': resampledBands.select('RED')
-                    }
-                ).rename('SAVI'),
-                OSAVI: resampledBands.expression(
-                    '(NIR - RED) / (NIR + RED + 0.16)',
-                    {
-                        'NIR': resampledBands.select('NIR'),
-                        'RED': resampledBands.select('RED')
-                    }
-                ).rename('OSAVI'),
-                CIgreen: resampledBands.select('NIR').divide(resampledBands.select('GREEN'))
-                    .subtract(1).rename('CIgreen'),
-                CIrededge: resampledBands.select('NIR').divide(resampledBands.select('RED_EDGE1'))
-                    .subtract(1).rename('CIrededge')
-            };
-
-            // Combine all bands and indices
-            const imageWithIndices = resampledBands.addBands(Object.values(indices));
+            const imageWithIndices = this.addIndices(image);
 
             // Calculate statistics
             const stats = await imageWithIndices.reduceRegion({
@@ -164,9 +211,11 @@ class VegetationIndexServiceSentinel2A {
                 mapUrl: `https://earthengine.googleapis.com/map/${mapId.mapid}`,
                 timestamp: new Date().toISOString(),
                 imageMetadata: {
-                    acquisitionDate: image.get('system:time_start'),
-                    cloudCover: image.get('CLOUDY_PIXEL_PERCENTAGE'),
-                    processingBaseline: image.get('PROCESSING_BASELINE')
+                    acquisitionDate: new Date(imageProperties['system:time_start']).toISOString(),
+                    cloudCover: imageProperties['CLOUDY_PIXEL_PERCENTAGE'],
+                    cloudMask,
+                    clearFraction: imageProperties['CLEAR_FRACTION'],
+                    processingBaseline: imageProperties['PROCESSING_BASELINE']
                 }
             };
         } catch (error) {
@@ -174,6 +223,137 @@ class VegetationIndexServiceSentinel2A {
             throw new Error(`Vegetation index calculation failed: ${error.message}`);
         }
     }
+
+    /**
+     * Index statistics over the polygon for every usable acquisition in the date range.
+     * Cloud and shadow are masked per pixel and scenes clear over less than minClearFraction of the
+     * polygon are skipped. Scenes from overlapping tiles on the same day are reduced to the one with
+     * the most clear pixels over the polygon.
+     * @param {Object} polygon - GeoJSON Feature with Polygon geometry
+     * @param {string} startDate
+     * @param {string} endDate
+     * @param {Object} [options]
+     * @param {Array<string>} [options.indices] - Subset of INDEX_NAMES (default all)
+     * @param {string} [options.cloudMask='scl'] - 'scl', 'qa60' or 's2cloudless'
+     * @param {number} [options.maxCloudCover=80] - Scene cloud percentage above which scenes are skipped
+     * @param {number} [options.minClearFraction=0.5] - Share of the polygon that must be clear
+     * @param {Object} [options.smoothing] - { method: 'savitzky-golay' | 'whittaker', windowSize?, polynomialOrder?, lambda? }
+     * @returns {Promise<Object>} Acquisitions with mean, median and stdDev per index, oldest first
+     */
+    static async calculateTimeSeries(polygon, startDate, endDate, {
+        indices = INDEX_NAMES,
+        cloudMask = 'scl',
+        maxCloudCover = DEFAULT_SCENE_CLOUD_COVER,
+        minClearFraction = DEFAULT_MIN_CLEAR_FRACTION,
+        smoothing
+    } = {}) {
+        try {
+            const region = ee.Geometry.Polygon(polygon.geometry.coordinates);
+            const collection = this.applyCloudMask(
+                ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED')
+                    .filterBounds(region)
+                    .filterDate(startDate, endDate)
+                    .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', maxCloudCover)),
+                region,
+                cloudMask
+            ).filter(ee.Filter.gte('CLEAR_FRACTION', minClearFraction));
+
+            const reducer = ee.Reducer.mean()
+                .combine({ reducer2: ee.Reducer.median(), sharedInputs: true })
+                .combine({ reducer2: ee.Reducer.stdDev(), sharedInputs: true })
+                .combine({ reducer2: ee.Reducer.count(), sharedInputs: true });
+
+            const features = collection.map(image => {
+                const stats = this.addIndices(image).select(indices).reduceRegion({
+                    reducer,
+                    geometry: region,
+                    scale: 10,
+                    maxPixels: 1e9,
+                    tileScale: 4
+                });
+                return ee.Feature(null, stats).set({
+                    imageId: image.id(),
+                    date: ee.Date(image.get('system:time_start')).format('YYYY-MM-dd'),
+                    cloudCover: image.get('CLOUDY_PIXEL_PERCENTAGE'),
+                    clearFraction: image.get('CLEAR_FRACTION')
+                });
+            });
+            const { features: scenes } = await ee.FeatureCollection(features).getInfo();
+
+            return this.buildTimeSeries(scenes.map(scene => scene.properties), indices, {
+                source: 'sentinel2a',
+                startDate,
+                endDate,
+                cloudMask,
+                maxCloudCover,
+                minClearFraction,
+                smoothing
+            });
+        } catch (error) {
+            console.error('Error in calculateTimeSeries:', error);
+            throw new Error(`Vegetation index time series failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Per-acquisition index statistics from reduced scene properties, with the optional smoothed mean.
+     * @param {Array<Object>} scenes - Properties with `<index>_mean|median|stdDev|count`, date, imageId, cloudCover
+     *   and clearFraction
+     * @param {Array<string>} indices
+     * @param {Object} options - source, startDate, endDate, cloudMask, maxCloudCover, minClearFraction and smoothing
+     * @returns {Object}
+     */
+    static buildTimeSeries(scenes, indices, { source, startDate, endDate, cloudMask, maxCloudCover, minClearFraction, smoothing }) {
+        const byDate = new Map();
+        for (const scene of scenes) {
+            const pixels = scene[`${indices[0]}_count`] || 0;
+            if (pixels === 0 || scene[`${indices[0]}_mean`] === null || scene[`${indices[0]}_mean`] === undefined) continue;
+
+            const current = byDate.get(scene.date);
+            if (!current || pixels > current.pixelCount) {
+                byDate.set(scene.date, {
+                    date: scene.date,
+                    imageId: scene.imageId,
+                    cloudCover: scene.cloudCover,
+                    clearFraction: scene.clearFraction,
+                    pixelCount: pixels,
+                    indices: Object.fromEntries(indices.map(index => [index, {
+                        mean: scene[`${index}_mean`] ?? null,
+                        median: scene[`${index}_median`] ?? null,
+                        stdDev: scene[`${index}_stdDev`] ?? null
+                    }]))
+                });
+            }
+        }
+        const acquisitions = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+        if (smoothing && acquisitions.length) {
+            const origin = new Date(acquisitions[0].date).getTime();
+            const times = acquisitions.map(acquisition => (new Date(acquisition.date).getTime() - origin) / DAY_MS);
+            for (const index of indices) {
+                const smoothed = smoothSeries(times, acquisitions.map(acquisition => acquisition.indices[index].mean), smoothing);
+                acquisitions.forEach((acquisition, i) => {
+                    acquisition.indices[index].smoothed = smoothed[i];
+                });
+            }
+        }
+
+        return {
+            source,
+            startDate,
+            endDate,
+            cloudMask,
+            maxCloudCover,
+            minClearFraction,
+            indices,
+            smoothing: smoothing || null,
+            acquisitionCount: acquisitions.length,
+            acquisitions,
+            timestamp: new Date().toISOString()
+        };
+    }
 }
 
-module.exports = VegetationIndexServiceSentinel2A;
\ No newline at end of file
+VegetationIndexServiceSentinel2A.INDEX_NAMES = INDEX_NAMES;
+
+module.exports = VegetationIndexServiceSentinel2A;
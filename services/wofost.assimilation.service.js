@@ -0,0 +1,85 @@
+const { Wofost } = require('../utils/wofost');
+const { runEnsembleKalmanFilter } = require('../utils/wofostAssimilation');
+const WofostSimulationService = require('./wofost.simulation.service');
+const { ValidationError } = require('../utils/errors');
+
+class WofostAssimilationService {
+    /**
+     * Simulate a season with and without assimilation of observed LAI (or NDVI converted to LAI).
+     * @param {Object} request - As for WofostSimulationService.simulate, plus:
+     * @param {Array<{date: string, lai?: number, ndvi?: number}>} request.observations
+     * @param {number} [request.ensembleSize=30]
+     * @param {number} [request.seed=42]
+     * @param {number} [request.observationError] - Relative LAI observation error
+     * @param {Object} [request.perturbations] - Relative standard deviation per crop parameter
+     * @param {number} [request.maxRelativeUpdate] - Largest change of a state variable in one update,
+     *   as a share of its ensemble mean
+     * @param {Object} [request.ndvi] - NDVI to LAI conversion settings (k, ndviSoil, ndviMax)
+     * @returns {Promise<Object>} Open-loop and assimilated trajectories, the updates made, final values of both
+     *   and warnings for updates that were capped
+     */
+    static async assimilate({
+        cropProfile,
+        crop,
+        soil,
+        management,
+        weather,
+        polygon,
+        location,
+        maxDays,
+        observations,
+        ensembleSize = 30,
+        seed = 42,
+        observationError,
+        perturbations,
+        maxRelativeUpdate,
+        ndvi
+    }) {
+        const cropParams = WofostSimulationService.resolveCropParameters(cropProfile, crop);
+        const { weatherData, weatherSource } = await WofostSimulationService.resolveWeather(
+            { weather, polygon, location, maxDays },
+            management.plantingDate
+        );
+        const days = Math.min(maxDays || weatherData.length, weatherData.length);
+
+        const firstDay = WofostSimulationService.toDayString(management.plantingDate);
+        const lastDay = WofostSimulationService.toDayString(weatherData[days - 1].date);
+        const inSeason = observations.filter(observation => {
+            const day = WofostSimulationService.toDayString(observation.date);
+            return day >= firstDay && day <= lastDay;
+        });
+        if (!inSeason.length) {
+            throw new ValidationError(`No observations fall within the simulated season ${firstDay} to ${lastDay}`);
+        }
+
+        const model = new Wofost(cropParams, soil, management);
+        const result = runEnsembleKalmanFilter(model, weatherData, inSeason, {
+            ensembleSize,
+            seed,
+            observationError,
+            perturbations,
+            maxRelativeUpdate,
+            ndvi,
+            days
+        });
+
+        return {
+            crop: WofostSimulationService.describeCrop(cropParams),
+            weather: { ...weatherSource, days: weatherData.length },
+            ensembleSize,
+            seed,
+            observationsUsed: result.observations.length,
+            final: {
+                openLoop: result.openLoop[result.openLoop.length - 1],
+                assimilated: result.assimilated[result.assimilated.length - 1]
+            },
+            warnings: result.observations
+                .filter(({ cappedMembers }) => cappedMembers > 0)
+                .map(({ date, lai, prior, cappedMembers }) => `The update on ${date} was capped for ${cappedMembers} members: ` +
+                    `observed LAI ${lai} is far from the simulated ${prior.toFixed(2)}`),
+            ...result
+        };
+    }
+}
+
+module.exports = WofostAssimilationService;
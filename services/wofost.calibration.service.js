@@ -0,0 +1,258 @@
+const { Wofost } = require('../utils/wofost');
+const {
+    PARTITIONING_ORGANS,
+    applyParameters,
+    daysToStage,
+    fitStatistics,
+    differentialEvolution
+} = require('../utils/wofostCalibration');
+const WofostSimulationService = require('./wofost.simulation.service');
+const { ValidationError } = require('../utils/errors');
+const { runWofostTask } = require('../utils/wofostTasks');
+const config = require('../config/config');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Phenology errors are scaled by this many days so they weigh like yield errors relative to the mean yield
+const PHENOLOGY_SCALE_DAYS = 10;
+
+// Cost of parameter sets the model cannot run with, e.g. floweringTSum above maturityTSum
+const INVALID_COST = 1e9;
+
+// Search range around the profile value when a parameter has no bounds
+const DEFAULT_RELATIVE_RANGE = 0.3;
+
+// Fitted values within this share of the search range from a bound are reported as at the bound
+const BOUND_TOLERANCE = 0.01;
+
+class WofostCalibrationService {
+    /**
+     * Fit crop parameters to observed yields and phenology dates across fields and seasons.
+     * @param {Object} request
+     * @param {string} [request.cropProfile] - Profile to start from (default generic)
+     * @param {Object} [request.crop] - Fixed crop parameter overrides
+     * @param {Array<{name: string, min?: number, max?: number}>} request.parameters - Parameters to fit
+     * @param {Array<Object>} request.records - [{id?, soil, management, weather | polygon, location?, maxDays?,
+     *   observed: {yield? (kg/ha storage organs), floweringDate?, maturityDate?}}]
+     * @param {Object} [request.weights] - Relative weights of yield and phenology errors (default 1 each)
+     * @param {number} [request.populationSize=15]
+     * @param {number} [request.generations=30]
+     * @param {number} [request.seed=42]
+     * @returns {Promise<Object>} Fitted parameters, crop overrides for the profile, goodness of fit and
+     *   warnings for parameters fitted at a bound of their search range
+     */
+    static async calibrate({
+        cropProfile,
+        crop,
+        parameters,
+        records,
+        weights = {},
+        populationSize = 15,
+        generations = 30,
+        seed = 42
+    }) {
+        const simulations = records.length * populationSize * (generations + 1);
+        if (simulations > config.wofostCalibration.maxSimulations) {
+            throw new ValidationError(
+                `Calibration would run up to ${simulations} simulations; the limit is ${config.wofostCalibration.maxSimulations}`
+            );
+        }
+
+        const baseParams = WofostSimulationService.resolveCropParameters(cropProfile, crop);
+        const bounds = parameters.map(parameter => this.resolveBounds(parameter, baseParams));
+        const initial = parameters.map(({ name }) => (name === PARTITIONING_ORGANS ? 1 : baseParams[name]));
+        const seasons = await Promise.all(records.map((record, i) => this.prepareSeason(record, i)));
+
+        return runWofostTask('calibration', {
+            baseParams, crop, parameters, bounds, initial, seasons, weights, populationSize, generations, seed
+        });
+    }
+
+    /**
+     * Run the optimizer and the simulations before and after fitting. Synchronous and CPU-bound,
+     * so calibrate runs it in workers/wofostWorker.js.
+     * @param {Object} input - Resolved crop parameters, bounds and prepared seasons from calibrate
+     * @returns {Object}
+     */
+    static fit({ baseParams, crop, parameters, bounds, initial, seasons, weights, populationSize, generations, seed }) {
+        const yieldScale = this.meanObservedYield(seasons);
+        const weight = { yield: weights.yield ?? 1, phenology: weights.phenology ?? 1 };
+        const toValues = vector => Object.fromEntries(parameters.map(({ name }, i) => [name, vector[i]]));
+
+        const objective = vector => {
+            const params = applyParameters(baseParams, toValues(vector));
+            if (!this.isRunnable(params)) return INVALID_COST;
+            return this.cost(seasons.map(season => this.simulateSeason(params, season)), yieldScale, weight);
+        };
+
+        const result = differentialEvolution(objective, bounds, { initial, populationSize, generations, seed });
+        const fittedValues = toValues(result.best);
+        const fittedParams = applyParameters(baseParams, fittedValues);
+
+        const initialResults = seasons.map(season => this.simulateSeason(baseParams, season));
+        const fittedResults = seasons.map(season => this.simulateSeason(fittedParams, season));
+        const fitted = parameters.map(({ name }, i) => ({
+            name,
+            initial: initial[i],
+            fitted: result.best[i],
+            min: bounds[i].min,
+            max: bounds[i].max,
+            atBound: this.boundReached(result.best[i], bounds[i])
+        }));
+
+        return {
+            crop: WofostSimulationService.describeCrop(baseParams),
+            parameters: fitted,
+            warnings: fitted
+                .filter(({ atBound }) => atBound)
+                .map(({ name, fitted: value, atBound }) => `'${name}' was fitted at its ${atBound} bound (${value}); ` +
+                    'the best value may lie outside the search range, so widen it or check the observations'),
+            cropOverrides: {
+                ...crop,
+                ...Object.fromEntries(Object.entries(fittedValues).filter(([name]) => name !== PARTITIONING_ORGANS)),
+                ...(fittedValues[PARTITIONING_ORGANS] !== undefined && { partitioning: fittedParams.partitioning })
+            },
+            goodnessOfFit: {
+                initial: this.goodnessOfFit(initialResults, yieldScale, weight),
+                calibrated: this.goodnessOfFit(fittedResults, yieldScale, weight)
+            },
+            records: seasons.map((season, i) => ({
+                id: season.id,
+                observed: season.observed,
+                initial: initialResults[i].simulated,
+                calibrated: fittedResults[i].simulated
+            })),
+            optimizer: {
+                method: 'differential-evolution',
+                seed,
+                populationSize,
+                generations: result.generations,
+                evaluations: result.evaluations,
+                cost: result.cost
+            }
+        };
+    }
+
+    /**
+     * Search range of a parameter; defaults to ±30% of the profile value.
+     * @param {{name: string, min?: number, max?: number}} parameter
+     * @param {Object} baseParams
+     * @returns {{min: number, max: number}}
+     */
+    static resolveBounds({ name, min, max }, baseParams) {
+        const base = name === PARTITIONING_ORGANS ? 1 : baseParams[name];
+        if (typeof base !== 'number') {
+            throw new ValidationError(`'${name}' is not a numeric crop parameter and cannot be calibrated`);
+        }
+        const bounds = {
+            min: min ?? base * (1 - DEFAULT_RELATIVE_RANGE),
+            max: max ?? base * (1 + DEFAULT_RELATIVE_RANGE)
+        };
+        if (!(bounds.min < bounds.max)) {
+            throw new ValidationError(`'${name}' needs min below max`);
+        }
+        return bounds;
+    }
+
+    /**
+     * Bound a fitted value sits at, if any.
+     * @param {number} value
+     * @param {{min: number, max: number}} bounds
+     * @returns {'min'|'max'|null}
+     */
+    static boundReached(value, { min, max }) {
+        const tolerance = (max - min) * BOUND_TOLERANCE;
+        if (value - min <= tolerance) return 'min';
+        if (max - value <= tolerance) return 'max';
+        return null;
+    }
+
+    /**
+     * Weather and observed days to flowering and maturity for one record.
+     * @returns {Promise<Object>}
+     */
+    static async prepareSeason(record, index) {
+        const { management, observed } = record;
+        const { weatherData } = await WofostSimulationService.resolveWeather(record, management.plantingDate);
+        const plantingTime = new Date(WofostSimulationService.toDayString(management.plantingDate)).getTime();
+        const daysAfterPlanting = date => (date ? Math.round((new Date(date).getTime() - plantingTime) / DAY_MS) : undefined);
+
+        return {
+            id: record.id ?? String(index),
+            soil: record.soil,
+            management,
+            weatherData,
+            days: Math.min(record.maxDays || weatherData.length, weatherData.length),
+            observed: {
+                yield: observed.yield,
+                floweringDays: daysAfterPlanting(observed.floweringDate),
+                maturityDays: daysAfterPlanting(observed.maturityDate)
+            }
+        };
+    }
+
+    static meanObservedYield(seasons) {
+        const yields = seasons.map(season => season.observed.yield).filter(value => value !== undefined);
+        return yields.length ? Math.max(1, yields.reduce((sum, value) => sum + value, 0) / yields.length) : 1;
+    }
+
+    static isRunnable(params) {
+        return params.emergenceTSum < params.floweringTSum && params.floweringTSum < params.maturityTSum &&
+            params.Tmin < params.Topt && params.Topt < params.Tmax;
+    }
+
+    /**
+     * Simulate one record and return simulated against observed values.
+     * Unreached stages count as the season length plus the phenology scale.
+     * @returns {{observed: Object, simulated: Object}}
+     */
+    static simulateSeason(params, season) {
+        const model = new Wofost(params, season.soil, season.management);
+        model.start(season.management.plantingDate);
+        model.run(season.days, season.weatherData);
+
+        const history = model.getHistory();
+        const unreached = history.length - 1 + PHENOLOGY_SCALE_DAYS;
+        return {
+            observed: season.observed,
+            simulated: {
+                yield: model.state.organs,
+                floweringDays: daysToStage(history, 1) ?? unreached,
+                maturityDays: daysToStage(history, 2) ?? unreached
+            }
+        };
+    }
+
+    /**
+     * Weighted mean squared error of scaled yields and phenology days.
+     * @returns {number}
+     */
+    static cost(results, yieldScale, weight) {
+        const squaredErrors = (key, scale) => results
+            .filter(({ observed }) => observed[key] !== undefined)
+            .map(({ observed, simulated }) => ((simulated[key] - observed[key]) / scale) ** 2);
+        const meanOf = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+        const phenology = [
+            ...squaredErrors('floweringDays', PHENOLOGY_SCALE_DAYS),
+            ...squaredErrors('maturityDays', PHENOLOGY_SCALE_DAYS)
+        ];
+        return weight.yield * meanOf(squaredErrors('yield', yieldScale)) + weight.phenology * meanOf(phenology);
+    }
+
+    /**
+     * Fit statistics per target (yield in kg/ha, phenology in days) and the combined cost.
+     * @returns {Object}
+     */
+    static goodnessOfFit(results, yieldScale, weight) {
+        const pairs = key => results.map(({ observed, simulated }) => ({ observed: observed[key], simulated: simulated[key] }));
+        return {
+            yield: fitStatistics(pairs('yield')),
+            floweringDays: fitStatistics(pairs('floweringDays')),
+            maturityDays: fitStatistics(pairs('maturityDays')),
+            cost: this.cost(results, yieldScale, weight)
+        };
+    }
+}
+
+module.exports = WofostCalibrationService;
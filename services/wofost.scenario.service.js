@@ -0,0 +1,291 @@
+const { Wofost } = require('../utils/wofost');
+const WofostSimulationService = require('./wofost.simulation.service');
+const { WofostWeatherService } = require('./wofost.weather.service');
+const { ValidationError } = require('../utils/errors');
+const { runWofostTask } = require('../utils/wofostTasks');
+const config = require('../config/config');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Days simulated from each planting date when maxDays is not given; long enough for any profile
+const DEFAULT_SEASON_DAYS = 240;
+
+const RAINFED = { name: 'rainfed', events: [] };
+
+const RANKING_STATISTICS = ['mean', 'p10', 'p50', 'p90'];
+
+function addDays(day, days) {
+    return new Date(new Date(day).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Percentile with linear interpolation between order statistics.
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - 0-100
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+    const position = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+class WofostScenarioService {
+    /**
+     * Simulate every combination of variety, planting date and irrigation schedule over several
+     * weather years, and rank the combinations by their yield distribution.
+     * Irrigation and fertilizer events are given in days after planting so they apply to every year.
+     * @param {Object} request
+     * @param {Array<string>} [request.cropProfiles] - Varieties as crop library profiles (default ['generic'])
+     * @param {Object} [request.crop] - Crop parameter overrides applied to every variety
+     * @param {Object} request.soil - Soil parameters
+     * @param {Object} [request.management] - productionLevel and fertilization [{type, daysAfterPlanting, N, P, K}]
+     * @param {Array<string>} request.plantingDates - Planting days as MM-DD
+     * @param {Array<Object>} [request.irrigationSchedules] - [{name, events?: [{daysAfterPlanting, amount}], rules?}] (default rainfed only)
+     * @param {Array<number>} request.years - Years of the planting dates
+     * @param {Array} [request.weather] - Daily weather covering every season
+     * @param {Object} [request.polygon] - Field polygon; weather is fetched for its centroid when not supplied
+     * @param {Object} [request.location] - Latitude and elevation, used to compute missing ET0
+     * @param {number} [request.maxDays] - Days simulated per season
+     * @param {string} [request.rankBy='mean'] - Yield statistic used for ranking: mean, p10, p50 or p90
+     * @param {number} [request.top=3] - Number of recommendations
+     * @returns {Promise<Object>} Ranked scenarios with yield statistics, recommendations and every run
+     */
+    static async runScenarios({
+        cropProfiles = ['generic'],
+        crop,
+        soil,
+        management = {},
+        plantingDates,
+        irrigationSchedules = [RAINFED],
+        years,
+        weather,
+        polygon,
+        location,
+        maxDays = DEFAULT_SEASON_DAYS,
+        rankBy = 'mean',
+        top = 3
+    }) {
+        if (!RANKING_STATISTICS.includes(rankBy)) {
+            throw new ValidationError(`rankBy must be one of ${RANKING_STATISTICS.join(', ')}`);
+        }
+        const totalRuns = cropProfiles.length * plantingDates.length * irrigationSchedules.length * years.length;
+        if (totalRuns > config.wofostScenarios.maxRuns) {
+            throw new ValidationError(
+                `The scenario grid needs ${totalRuns} simulations; the limit is ${config.wofostScenarios.maxRuns}`
+            );
+        }
+
+        const varieties = cropProfiles.map(profile => ({
+            profile,
+            params: WofostSimulationService.resolveCropParameters(profile, crop)
+        }));
+        const weatherByYear = await this.getWeatherByYear({ weather, polygon, years, plantingDates, maxDays });
+
+        const summarized = await runWofostTask('scenarios', {
+            varieties, soil, management, plantingDates, irrigationSchedules, years, weatherByYear, location, maxDays, rankBy
+        });
+        return {
+            rankBy,
+            years,
+            totalRuns,
+            scenarios: summarized,
+            recommendations: summarized.slice(0, top).map(({ runs, ...scenario }) => scenario)
+        };
+    }
+
+    /**
+     * Simulate every scenario of the grid and rank them. Synchronous and CPU-bound, so runScenarios
+     * runs it in workers/wofostWorker.js.
+     * @param {Object} input - Resolved variety parameters and weather by year from runScenarios
+     * @returns {Array<Object>} Ranked scenarios
+     */
+    static simulateGrid({
+        varieties, soil, management, plantingDates, irrigationSchedules, years, weatherByYear, location, maxDays, rankBy
+    }) {
+        const scenarios = [];
+        for (const variety of varieties) {
+            const model = new Wofost(variety.params, soil, management);
+            for (const plantingDate of plantingDates) {
+                for (const schedule of irrigationSchedules) {
+                    const runs = years.map(year => this.runSeason(model, {
+                        plantingDate: `${year}-${plantingDate}`,
+                        schedule,
+                        management,
+                        weather: weatherByYear.get(year),
+                        location,
+                        maxDays
+                    }));
+                    scenarios.push({
+                        variety: variety.profile,
+                        plantingDate,
+                        irrigation: schedule.name,
+                        rainfed: !schedule.events?.length && !schedule.rules,
+                        runs
+                    });
+                }
+            }
+        }
+
+        return this.rankScenarios(scenarios.map(scenario => this.summarizeScenario(scenario)), rankBy);
+    }
+
+    /**
+     * Weather for each year, from the request or fetched for the polygon from the earliest planting
+     * date to the end of the season after the latest one.
+     * @returns {Promise<Map<number, Array>>}
+     */
+    static async getWeatherByYear({ weather, polygon, years, plantingDates, maxDays }) {
+        const weatherByYear = new Map();
+        const sortedDates = [...plantingDates].sort();
+        for (const year of years) {
+            if (weather) {
+                weatherByYear.set(year, weather);
+                continue;
+            }
+            const start = `${year}-${sortedDates[0]}`;
+            const end = addDays(`${year}-${sortedDates[sortedDates.length - 1]}`, maxDays - 1);
+            const fetched = await WofostWeatherService.getWeatherForPolygon(polygon, start, end);
+            weatherByYear.set(year, fetched.weather);
+        }
+        return weatherByYear;
+    }
+
+    /**
+     * Simulate one season from a clone of a variety's model.
+     * @returns {Object} Yield and water use of the season
+     */
+    static runSeason(baseModel, { plantingDate, schedule, management, weather, location, maxDays }) {
+        const model = baseModel.clone({
+            management: {
+                plantingDate,
+                irrigation: (schedule.events || []).map(event => ({
+                    date: addDays(plantingDate, event.daysAfterPlanting),
+                    amount: event.amount
+                })),
+                irrigationRules: schedule.rules,
+                fertilization: (management.fertilization || []).map(({ daysAfterPlanting, ...event }) => ({
+                    ...event,
+                    date: addDays(plantingDate, daysAfterPlanting || 0)
+                }))
+            }
+        });
+
+        const weatherData = WofostSimulationService.prepareWeather(weather, plantingDate, location, maxDays);
+        model.start(plantingDate);
+        model.run(weatherData.length, weatherData);
+
+        const results = model.getResults();
+        return {
+            year: Number(plantingDate.slice(0, 4)),
+            plantingDate,
+            endDate: WofostSimulationService.toDayString(results.date),
+            matured: model.isFinished,
+            yield: results.biomass.components.organs,
+            aboveGroundBiomass: results.biomass.aboveGround,
+            irrigation: results.irrigation.total,
+            irrigationEvents: results.irrigation.events.length,
+            rainfall: results.soil.cumulativeFluxes.rainfall
+        };
+    }
+
+    /**
+     * Yield statistics of a scenario across its years.
+     * @param {Object} scenario
+     * @returns {Object}
+     */
+    static summarizeScenario(scenario) {
+        return {
+            ...scenario,
+            yield: this.summarize(scenario.runs.map(run => run.yield)),
+            meanIrrigation: scenario.runs.reduce((sum, run) => sum + run.irrigation, 0) / scenario.runs.length,
+            maturedRuns: scenario.runs.filter(run => run.matured).length
+        };
+    }
+
+    /**
+     * @param {Array<number>} values
+     * @returns {{mean: number, stdDev: number, min: number, p10: number, p50: number, p90: number, max: number}}
+     */
+    static summarize(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+        const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+        return {
+            mean,
+            stdDev: Math.sqrt(variance),
+            min: sorted[0],
+            p10: percentile(sorted, 10),
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    /**
+     * Order scenarios by a yield statistic and add each irrigated scenario's gain over the
+     * rainfed scenario with the same variety and planting date.
+     * @param {Array<Object>} scenarios
+     * @param {string} rankBy
+     * @returns {Array<Object>}
+     */
+    static rankScenarios(scenarios, rankBy) {
+        const rainfed = new Map(scenarios
+            .filter(scenario => scenario.rainfed)
+            .map(scenario => [`${scenario.variety}|${scenario.plantingDate}`, scenario]));
+
+        return scenarios
+            .map(scenario => {
+                const baseline = rainfed.get(`${scenario.variety}|${scenario.plantingDate}`);
+                if (!baseline || scenario.rainfed) return scenario;
+
+                const gain = scenario.yield.mean - baseline.yield.mean;
+                return {
+                    ...scenario,
+                    irrigationGain: { yield: gain, perMm: scenario.meanIrrigation > 0 ? gain / scenario.meanIrrigation : null }
+                };
+            })
+            .sort((a, b) => b.yield[rankBy] - a.yield[rankBy])
+            .map((scenario, i) => ({ rank: i + 1, ...scenario }));
+    }
+
+    /**
+     * CSV of a scenario result, one row per scenario or, with `level: 'runs'`, per simulated season.
+     * @param {Object} result - Output of runScenarios
+     * @param {Object} [options]
+     * @param {string} [options.level='scenarios']
+     * @returns {string}
+     */
+    static toCSV(result, { level = 'scenarios' } = {}) {
+        // Schedule and variety names come from the request, so strings are quoted with quotes doubled
+        const format = value => {
+            if (typeof value === 'number') return Number(value.toFixed(2));
+            if (typeof value === 'string') return `"${value.replace(/"/g, '""')}"`;
+            return value ?? '';
+        };
+
+        if (level === 'runs') {
+            const header = ['rank', 'variety', 'planting_date', 'irrigation', 'year', 'season_planting_date',
+                'end_date', 'matured', 'yield', 'above_ground_biomass', 'irrigation_mm', 'irrigation_events', 'rainfall_mm'];
+            const rows = result.scenarios.flatMap(scenario => scenario.runs.map(run => [
+                scenario.rank, scenario.variety, scenario.plantingDate, scenario.irrigation, run.year, run.plantingDate,
+                run.endDate, run.matured, run.yield, run.aboveGroundBiomass, run.irrigation, run.irrigationEvents, run.rainfall
+            ].map(format).join(',')));
+            return [header.join(','), ...rows].join('\n') + '\n';
+        }
+
+        const header = ['rank', 'variety', 'planting_date', 'irrigation', 'years', 'matured_runs', 'yield_mean',
+            'yield_std_dev', 'yield_min', 'yield_p10', 'yield_p50', 'yield_p90', 'yield_max', 'irrigation_mm',
+            'irrigation_gain', 'irrigation_gain_per_mm'];
+        const rows = result.scenarios.map(scenario => [
+            scenario.rank, scenario.variety, scenario.plantingDate, scenario.irrigation, scenario.runs.length,
+            scenario.maturedRuns, scenario.yield.mean, scenario.yield.stdDev, scenario.yield.min, scenario.yield.p10,
+            scenario.yield.p50, scenario.yield.p90, scenario.yield.max, scenario.meanIrrigation,
+            scenario.irrigationGain?.yield, scenario.irrigationGain?.perMm
+        ].map(format).join(','));
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+module.exports = WofostScenarioService;
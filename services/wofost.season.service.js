@@ -0,0 +1,250 @@
+const { Wofost } = require('../utils/wofost');
+const WofostCheckpointStore = require('../models/wofost.checkpoint.store');
+const WofostSimulationService = require('./wofost.simulation.service');
+const WofostScenarioService = require('./wofost.scenario.service');
+const { WofostWeatherService } = require('./wofost.weather.service');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const config = require('../config/config');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Days after planting a forecast runs to when the crop has not matured by then
+const FORECAST_SEASON_DAYS = 240;
+
+/**
+ * Live in-season WOFOST runs, checkpointed after every update so a season can be advanced
+ * as new weather arrives (e.g. by a daily cron calling advanceAll).
+ */
+class WofostSeasonService {
+    static getStore() {
+        if (!this.store) {
+            this.store = new WofostCheckpointStore(config.wofostCheckpoints.path);
+        }
+        return this.store;
+    }
+
+    static setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Start a season from its planting date and checkpoint it.
+     * @param {Object} request
+     * @param {string} request.seasonId - Unique id, e.g. `<fieldId>-2024/25`
+     * @param {string} [request.fieldId]
+     * @param {string} [request.cropProfile]
+     * @param {Object} [request.crop]
+     * @param {Object} request.soil
+     * @param {Object} request.management
+     * @param {Object} [request.polygon] - Field polygon; weather is fetched for it on advance
+     * @param {Object} [request.location] - Latitude and elevation, used to compute missing ET0
+     * @param {Array} [request.weather] - Weather already available from the planting date
+     * @returns {Promise<Object>} Season status
+     */
+    static async createSeason({ seasonId, fieldId, cropProfile, crop, soil, management, polygon, location, weather }) {
+        const store = this.getStore();
+        if (await store.load(seasonId)) {
+            throw new ValidationError(`Season '${seasonId}' already exists`);
+        }
+
+        const cropParams = WofostSimulationService.resolveCropParameters(cropProfile, crop);
+        const model = new Wofost(cropParams, soil, management);
+        model.start(management.plantingDate);
+
+        const now = new Date();
+        const record = {
+            seasonId,
+            fieldId,
+            crop: WofostSimulationService.describeCrop(cropParams),
+            polygon,
+            location,
+            createdAt: now,
+            updatedAt: now
+        };
+        if (weather) {
+            model.advance(WofostSimulationService.fillMissingET0(weather, location));
+        }
+
+        await this.saveSeason(record, model);
+        return this.describeSeason(record, model);
+    }
+
+    /**
+     * Advance a season with new weather, or with weather fetched for its polygon up to the latest
+     * date the provider has. Weather already simulated is skipped.
+     * @param {string} seasonId
+     * @param {Array} [weather]
+     * @returns {Promise<Object>} Season status with the number of days simulated
+     */
+    static async advanceSeason(seasonId, weather) {
+        const { record, model } = await this.loadSeason(seasonId);
+        if (model.isFinished) {
+            return { ...this.describeSeason(record, model), daysAdvanced: 0 };
+        }
+
+        let days = weather && WofostSimulationService.fillMissingET0(weather, record.location);
+        if (!days) {
+            if (!record.polygon) {
+                throw new ValidationError(`Season '${seasonId}' has no polygon, so weather must be provided`);
+            }
+            days = await this.fetchNewWeather(record.polygon, model.simulationDate);
+        }
+
+        const daysAdvanced = model.advance(days);
+        if (daysAdvanced > 0) {
+            record.updatedAt = new Date();
+            await this.saveSeason(record, model);
+        }
+        return { ...this.describeSeason(record, model), daysAdvanced };
+    }
+
+    /**
+     * Advance every unfinished season that has a polygon; failures are reported per season.
+     * @returns {Promise<Array<Object>>}
+     */
+    static async advanceAll() {
+        const results = [];
+        for (const seasonId of await this.getStore().list()) {
+            try {
+                const { record, model } = await this.loadSeason(seasonId);
+                if (model.isFinished || !record.polygon) continue;
+
+                const { daysAdvanced, simulationDate, isFinished } = await this.advanceSeason(seasonId);
+                results.push({ seasonId, success: true, daysAdvanced, simulationDate, isFinished });
+            } catch (error) {
+                results.push({ seasonId, success: false, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Season status, optionally with a forecast of the final yield from past years' weather.
+     * @param {string} seasonId
+     * @param {Object} [options]
+     * @param {Array<number>} [options.forecastYears] - Years whose weather completes the season
+     * @param {boolean} [options.includeHistory=false]
+     * @returns {Promise<Object>}
+     */
+    static async getSeason(seasonId, { forecastYears, includeHistory = false } = {}) {
+        const { record, model } = await this.loadSeason(seasonId);
+        const status = this.describeSeason(record, model);
+        if (includeHistory) status.history = model.getHistory();
+        if (forecastYears?.length) status.forecast = await this.forecast(record, model, forecastYears);
+        return status;
+    }
+
+    /**
+     * Summaries of every stored season.
+     * @returns {Promise<Array<Object>>}
+     */
+    static async listSeasons() {
+        const seasons = [];
+        for (const seasonId of await this.getStore().list()) {
+            const { record, model } = await this.loadSeason(seasonId);
+            seasons.push(this.describeSeason(record, model));
+        }
+        return seasons;
+    }
+
+    static async deleteSeason(seasonId) {
+        if (!await this.getStore().remove(seasonId)) {
+            throw new NotFoundError(`Season '${seasonId}' not found`);
+        }
+        return { seasonId, deleted: true };
+    }
+
+    /**
+     * Final yield distribution when the rest of the season follows each past year's weather.
+     * @param {Object} record
+     * @param {Wofost} model
+     * @param {Array<number>} years
+     * @returns {Promise<Object>}
+     */
+    static async forecast(record, model, years) {
+        if (model.isFinished) {
+            return { final: true, yield: WofostScenarioService.summarize([model.state.organs]), runs: [] };
+        }
+        if (!record.polygon) {
+            throw new ValidationError(`Season '${record.seasonId}' has no polygon to fetch past weather for`);
+        }
+
+        const start = new Date(model.simulationDate);
+        const end = new Date(new Date(model.management.plantingDate).getTime() + (FORECAST_SEASON_DAYS - 1) * DAY_MS);
+        if (start > end) {
+            throw new ValidationError(`Season '${record.seasonId}' has run past ${FORECAST_SEASON_DAYS} days without maturing`);
+        }
+
+        const runs = [];
+        for (const year of years) {
+            const pastStart = new Date(start);
+            pastStart.setUTCFullYear(year);
+            const offset = start.getTime() - pastStart.getTime();
+            const pastEnd = new Date(end.getTime() - offset);
+
+            const { weather } = await WofostWeatherService.getWeatherForPolygon(record.polygon, pastStart, pastEnd);
+            const shifted = weather.map(day => ({
+                ...day,
+                date: new Date(new Date(day.date).getTime() + offset).toISOString().split('T')[0]
+            }));
+
+            const projection = Wofost.fromJSON(model.toJSON());
+            projection.advance(shifted);
+            runs.push({
+                year,
+                yield: projection.state.organs,
+                aboveGroundBiomass: projection.state.totalAboveGroundBiomass,
+                matured: projection.isFinished,
+                endDate: WofostSimulationService.toDayString(projection.simulationDate)
+            });
+        }
+
+        return {
+            final: false,
+            yield: WofostScenarioService.summarize(runs.map(run => run.yield)),
+            runs
+        };
+    }
+
+    /**
+     * Weather for a polygon from the current simulation date to the provider's latest date.
+     * @returns {Promise<Array>} Empty when the provider has nothing newer yet
+     */
+    static async fetchNewWeather(polygon, fromDate) {
+        const provider = WofostWeatherService.getDefaultProvider();
+        const start = WofostSimulationService.toDayString(fromDate);
+        const end = provider.availableUntil?.() ?? WofostSimulationService.toDayString(Date.now());
+        if (start > end) return [];
+
+        const { weather } = await WofostWeatherService.getWeatherForPolygon(polygon, start, end, provider);
+        return weather;
+    }
+
+    static async loadSeason(seasonId) {
+        const record = await this.getStore().load(seasonId);
+        if (!record) {
+            throw new NotFoundError(`Season '${seasonId}' not found`);
+        }
+        return { record, model: Wofost.fromJSON(record.model) };
+    }
+
+    static async saveSeason(record, model) {
+        await this.getStore().save(record.seasonId, { ...record, model: model.toJSON() });
+    }
+
+    static describeSeason(record, model) {
+        return {
+            seasonId: record.seasonId,
+            fieldId: record.fieldId,
+            crop: record.crop,
+            plantingDate: WofostSimulationService.toDayString(model.management.plantingDate),
+            simulationDate: WofostSimulationService.toDayString(model.simulationDate),
+            simulatedDays: model.getHistory().length - 1,
+            isFinished: model.isFinished,
+            results: model.getResults(),
+            updatedAt: record.updatedAt
+        };
+    }
+}
+
+module.exports = WofostSeasonService;
@@ -0,0 +1,158 @@
+const { Wofost } = require('../utils/wofost');
+const { WeatherDataCreator } = require('../utils/wofostUtils');
+const { loadCropProfile } = require('../utils/wofostCropLibrary');
+const { WofostWeatherService } = require('./wofost.weather.service');
+const { ValidationError } = require('../utils/errors');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const DEFAULT_CROP_PROFILE = 'generic';
+
+// Days of weather fetched for a polygon when maxDays is not given; long enough for any profile
+const DEFAULT_SEASON_DAYS = 240;
+
+class WofostSimulationService {
+    /**
+     * Run a WOFOST simulation from the planting date until maturity, `maxDays`
+     * or the end of the weather data, whichever comes first.
+     * @param {Object} request
+     * @param {string} [request.cropProfile] - Crop library profile to start from, e.g. 'maize-medium' or 'wheat@1.0.0'
+     * @param {Object} [request.crop] - Crop parameters overriding the profile
+     * @param {Object} request.soil - Soil parameters
+     * @param {Object} request.management - Planting date and irrigation events
+     * @param {Array} [request.weather] - Daily weather covering the planting date onwards
+     * @param {Object} [request.polygon] - Field polygon; weather is fetched for its centroid when not supplied
+     * @param {Object} [request.location] - Latitude and elevation, used to compute missing ET0
+     * @param {number} [request.maxDays]
+     * @returns {Promise<Object>} Crop used, weather source, final results and the daily history
+     */
+    static async simulate({ cropProfile, crop, soil, management, weather, polygon, location, maxDays }) {
+        const cropParams = this.resolveCropParameters(cropProfile, crop);
+        const { weatherData, weatherSource } = await this.resolveWeather({ weather, polygon, location, maxDays }, management.plantingDate);
+        const days = Math.min(maxDays || weatherData.length, weatherData.length);
+
+        const model = new Wofost(cropParams, soil, management);
+        model.start(management.plantingDate);
+        model.run(days, weatherData);
+
+        const history = model.getHistory();
+        return {
+            crop: this.describeCrop(cropParams),
+            weather: { ...weatherSource, days: weatherData.length },
+            simulatedDays: history.length - 1,
+            results: model.getResults(),
+            history
+        };
+    }
+
+    /**
+     * Season weather from the request, or fetched for the polygon when the request has none.
+     * @param {Object} request - weather, polygon, location and maxDays as for simulate()
+     * @param {string} plantingDate
+     * @returns {Promise<{weatherData: Array, weatherSource: Object}>} Prepared weather and where it came from
+     */
+    static async resolveWeather({ weather, polygon, location, maxDays }, plantingDate) {
+        let weatherSource = { source: 'request' };
+        if (!weather) {
+            const endDate = new Date(new Date(plantingDate).getTime() + ((maxDays || DEFAULT_SEASON_DAYS) - 1) * DAY_MS);
+            const fetched = await WofostWeatherService.getWeatherForPolygon(polygon, plantingDate, endDate);
+            weather = fetched.weather;
+            weatherSource = { source: fetched.source, location: fetched.location };
+        }
+        return {
+            weatherData: this.prepareWeather(weather, plantingDate, location, maxDays || Infinity),
+            weatherSource
+        };
+    }
+
+    /**
+     * Crop parameters from a library profile with caller overrides applied.
+     * @param {string} [profileName]
+     * @param {Object} [overrides]
+     * @returns {Object}
+     */
+    static resolveCropParameters(profileName = DEFAULT_CROP_PROFILE, overrides = {}) {
+        const params = loadCropProfile(profileName, overrides);
+
+        if (!(params.emergenceTSum < params.floweringTSum && params.floweringTSum < params.maturityTSum)) {
+            throw new ValidationError('Crop temperature sums must increase: emergenceTSum < floweringTSum < maturityTSum');
+        }
+        if (!(params.Tmin < params.Topt && params.Topt < params.Tmax)) {
+            throw new ValidationError('Crop temperature response must satisfy Tmin < Topt < Tmax');
+        }
+        return params;
+    }
+
+    /**
+     * Profile and names of the crop a simulation used.
+     * @param {Object} cropParams
+     * @returns {Object}
+     */
+    static describeCrop(cropParams) {
+        return {
+            profile: cropParams.profile,
+            profileVersion: cropParams.profileVersion,
+            cropName: cropParams.cropName,
+            varietyName: cropParams.varietyName
+        };
+    }
+
+    /**
+     * Order the weather by date and keep the consecutive days from the planting date onwards.
+     * Only the first maxDays are checked and kept, so weather covering several seasons may have
+     * gaps between them. Days without ET0 get the FAO Penman-Monteith estimate, which needs
+     * humidity and a latitude.
+     * @param {Array} weather
+     * @param {string} plantingDate
+     * @param {Object} [location]
+     * @param {number} [maxDays] - Days of the season to keep (default all)
+     * @returns {Array}
+     */
+    static prepareWeather(weather, plantingDate, location, maxDays = Infinity) {
+        const days = [...weather].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const plantingDay = this.toDayString(plantingDate);
+        const startIndex = days.findIndex(day => this.toDayString(day.date) === plantingDay);
+        if (startIndex === -1) {
+            throw new ValidationError(`Weather data must include the planting date ${plantingDay}`);
+        }
+
+        const season = days.slice(startIndex, startIndex + maxDays);
+        for (let i = 1; i < season.length; i++) {
+            const gap = Math.round((new Date(season[i].date) - new Date(season[i - 1].date)) / DAY_MS);
+            if (gap !== 1) {
+                throw new ValidationError(
+                    `Weather data must be consecutive daily records; found a ${gap}-day step after ${this.toDayString(season[i - 1].date)}`
+                );
+            }
+        }
+
+        return this.fillMissingET0(season, location);
+    }
+
+    /**
+     * Add the FAO Penman-Monteith ET0 estimate to days without ET0, which needs humidity and a latitude.
+     * @param {Array} days
+     * @param {Object} [location]
+     * @returns {Array}
+     */
+    static fillMissingET0(days, location) {
+        const missingET0 = days.filter(day => day.ET0 === undefined);
+        if (!missingET0.length) return days;
+
+        if (location?.latitude === undefined || missingET0.some(day => day.humidity === undefined)) {
+            throw new ValidationError(
+                `ET0 is missing on ${missingET0.length} day(s); provide ET0, or humidity on those days and location.latitude to compute it`
+            );
+        }
+        const elevation = location.elevation || 0;
+        return days.map(day => day.ET0 === undefined
+            ? WeatherDataCreator.calculateET0([day], location.latitude, elevation)[0]
+            : day);
+    }
+
+    static toDayString(date) {
+        return new Date(date).toISOString().split('T')[0];
+    }
+}
+
+module.exports = WofostSimulationService;
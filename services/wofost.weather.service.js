@@ -0,0 +1,351 @@
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const turf = require('@turf/turf');
+const winston = require('winston');
+const { WeatherDataCreator } = require('../utils/wofostUtils');
+const { importWeather } = require('../utils/wofostWeatherImport');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const config = require('../config/config');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Open-Meteo reports wind at 10 m; FAO-56 log profile conversion to the 2 m height WOFOST expects
+const WIND_10M_TO_2M = 4.87 / Math.log(67.8 * 10 - 5.42);
+
+const REQUIRED_WEATHER_FIELDS = ['Tmin', 'Tmax', 'solarRadiation', 'rainfall'];
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    transports: [
+        new winston.transports.File({ filename: 'wofost-weather-service.log' })
+    ]
+});
+
+function toDayString(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+function numberOrUndefined(value) {
+    return value === null || value === undefined || Number.isNaN(Number(value)) ? undefined : Number(value);
+}
+
+/**
+ * Daily WOFOST weather from the Open-Meteo historical archive.
+ */
+class OpenMeteoWeatherProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.archiveUrl]
+     * @param {number} [options.timeout=20000] - Request timeout (ms)
+     * @param {number} [options.maxRetries=3]
+     * @param {number} [options.retryDelay=2000] - First retry delay (ms), growing 1.5x per retry
+     * @param {number} [options.lagDays=5] - Days behind today before the archive has data
+     */
+    constructor({
+        archiveUrl = 'https://archive-api.open-meteo.com/v1/archive',
+        timeout = 20000,
+        maxRetries = 3,
+        retryDelay = 2000,
+        lagDays = 5
+    } = {}) {
+        this.name = 'openmeteo';
+        this.archiveUrl = archiveUrl;
+        this.timeout = timeout;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.lagDays = lagDays;
+    }
+
+    /**
+     * Last date the archive can be expected to cover.
+     * @returns {string} YYYY-MM-DD
+     */
+    availableUntil() {
+        return toDayString(Date.now() - this.lagDays * DAY_MS);
+    }
+
+    async fetchWithRetry(options, retries = this.maxRetries, delay = this.retryDelay) {
+        try {
+            return await axios(options);
+        } catch (error) {
+            if (retries <= 0) throw error;
+
+            logger.warn(`Retrying API request (${this.maxRetries - retries + 1}/${this.maxRetries})`, {
+                url: options.url,
+                error: error.message
+            });
+
+            await new Promise(resolve => setTimeout(resolve, delay));
+            return this.fetchWithRetry(options, retries - 1, delay * 1.5);
+        }
+    }
+
+    /**
+     * Fetch daily weather for a point.
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<{elevation: number, weather: Array}>}
+     */
+    async getWeather(latitude, longitude, startDate, endDate) {
+        const params = {
+            latitude,
+            longitude,
+            start_date: startDate,
+            end_date: endDate,
+            daily: [
+                'temperature_2m_min',
+                'temperature_2m_max',
+                'shortwave_radiation_sum',
+                'precipitation_sum',
+                'et0_fao_evapotranspiration',
+                'relative_humidity_2m_mean',
+                'wind_speed_10m_mean'
+            ].join(','),
+            wind_speed_unit: 'ms',
+            timezone: 'GMT'
+        };
+
+        logger.info('Fetching daily weather for WOFOST...', { latitude, longitude, startDate, endDate });
+
+        const response = await this.fetchWithRetry({
+            method: 'get',
+            url: this.archiveUrl,
+            params,
+            timeout: this.timeout
+        });
+
+        if (response.status !== 200) {
+            throw new Error(`API request failed with status ${response.status}`);
+        }
+
+        const { daily, elevation } = response.data;
+        if (!daily || !Array.isArray(daily.time) || !daily.time.length) {
+            throw new Error('No daily data available in the response');
+        }
+
+        const weather = daily.time.map((date, i) => {
+            const windSpeed10m = numberOrUndefined(daily.wind_speed_10m_mean?.[i]);
+            return {
+                date,
+                Tmin: numberOrUndefined(daily.temperature_2m_min?.[i]),
+                Tmax: numberOrUndefined(daily.temperature_2m_max?.[i]),
+                solarRadiation: numberOrUndefined(daily.shortwave_radiation_sum?.[i]),
+                rainfall: numberOrUndefined(daily.precipitation_sum?.[i]) ?? 0,
+                ET0: numberOrUndefined(daily.et0_fao_evapotranspiration?.[i]),
+                humidity: numberOrUndefined(daily.relative_humidity_2m_mean?.[i]),
+                windSpeed: windSpeed10m === undefined ? undefined : windSpeed10m * WIND_10M_TO_2M
+            };
+        });
+
+        logger.info('Received daily weather', { recordCount: weather.length, elevation });
+        return { elevation: elevation ?? 0, weather };
+    }
+}
+
+/**
+ * Weather recorded as CSV files (WeatherDataCreator.toCSV format), one per location.
+ * Files are named by the location rounded to 0.01° unless a single `filePath` is configured,
+ * in which case that file is used for every location.
+ */
+class FileWeatherProvider {
+    /**
+     * @param {Object} options
+     * @param {string} [options.directory] - Directory of recorded `<lat>_<lon>.csv` files
+     * @param {string} [options.filePath] - One CSV used for all locations
+     * @param {number} [options.elevation=0] - Site elevation used when computing missing ET0
+     */
+    constructor({ directory, filePath, elevation = 0 } = {}) {
+        this.name = 'file';
+        this.directory = directory;
+        this.filePath = filePath;
+        this.elevation = elevation;
+    }
+
+    getFilePath(latitude, longitude) {
+        return this.filePath || path.join(this.directory, `${latitude.toFixed(2)}_${longitude.toFixed(2)}.csv`);
+    }
+
+    /**
+     * Read recorded daily weather for a point.
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<{elevation: number, weather: Array}>}
+     */
+    async getWeather(latitude, longitude, startDate, endDate) {
+        const filePath = this.getFilePath(latitude, longitude);
+        let csv;
+        try {
+            csv = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new NotFoundError(`No recorded weather for ${latitude.toFixed(2)}, ${longitude.toFixed(2)} (${filePath})`);
+            }
+            throw error;
+        }
+
+        const weather = WeatherDataCreator.fromCSV(csv)
+            .filter(day => day.date >= startDate && day.date <= endDate)
+            .map(day => Object.fromEntries(
+                Object.entries(day).map(([key, value]) => [key, key === 'date' ? value : numberOrUndefined(value)])
+            ));
+        return { elevation: this.elevation, weather };
+    }
+
+    /**
+     * Record weather for a point, so later runs can use it offline.
+     * Replaces any existing recording for the location.
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {Array} weather
+     * @returns {Promise<string>} Path of the written file
+     */
+    async save(latitude, longitude, weather) {
+        const filePath = this.getFilePath(latitude, longitude);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, WeatherDataCreator.toCSV(weather), 'utf8');
+        return filePath;
+    }
+}
+
+/**
+ * Builds complete WOFOST `WeatherData` arrays for a field polygon.
+ */
+class WofostWeatherService {
+    /**
+     * Provider configured in config.weather.
+     * @returns {OpenMeteoWeatherProvider|FileWeatherProvider}
+     */
+    static getDefaultProvider() {
+        const { provider, dataPath, archiveUrl } = config.weather;
+        return provider === 'file'
+            ? new FileWeatherProvider({ directory: dataPath })
+            : new OpenMeteoWeatherProvider({ archiveUrl });
+    }
+
+    /**
+     * Daily weather for the centroid of a polygon, with ET0 filled in where the source lacks it.
+     * The range is cut short at the last date the provider has data for.
+     * @param {Object} polygon - GeoJSON Feature or geometry
+     * @param {string|Date} startDate
+     * @param {string|Date} endDate
+     * @param {Object} [provider] - Defaults to getDefaultProvider()
+     * @returns {Promise<{location: Object, source: string, weather: Array}>}
+     */
+    static async getWeatherForPolygon(polygon, startDate, endDate, provider = this.getDefaultProvider()) {
+        const [longitude, latitude] = turf.centroid(polygon).geometry.coordinates;
+        const start = toDayString(startDate);
+        const requestedEnd = toDayString(endDate);
+        const availableUntil = provider.availableUntil?.();
+        const end = availableUntil && availableUntil < requestedEnd ? availableUntil : requestedEnd;
+        if (start > end) {
+            throw new ValidationError(`No weather is available from ${start}; the ${provider.name} source ends ${end}`);
+        }
+
+        const { elevation, weather } = await provider.getWeather(latitude, longitude, start, end);
+        const days = this.fillET0(this.checkCoverage(weather, start, end), latitude, elevation);
+
+        return {
+            location: { latitude, longitude, elevation },
+            source: provider.name,
+            weather: days
+        };
+    }
+
+    /**
+     * Record weather for a polygon from one provider into a FileWeatherProvider.
+     * @param {Object} polygon
+     * @param {string|Date} startDate
+     * @param {string|Date} endDate
+     * @param {FileWeatherProvider} fileProvider
+     * @param {Object} [sourceProvider] - Defaults to Open-Meteo
+     * @returns {Promise<string>} Path of the written file
+     */
+    static async recordWeather(polygon, startDate, endDate, fileProvider, sourceProvider = new OpenMeteoWeatherProvider()) {
+        const { location, weather } = await this.getWeatherForPolygon(polygon, startDate, endDate, sourceProvider);
+        return fileProvider.save(location.latitude, location.longitude, weather);
+    }
+
+    /**
+     * Check that every day in the range is present once with the required values.
+     * @param {Array} weather
+     * @param {string} start
+     * @param {string} end
+     * @returns {Array} Weather sorted by date
+     */
+    static checkCoverage(weather, start, end) {
+        const days = [...weather].sort((a, b) => a.date.localeCompare(b.date));
+        const expectedDays = Math.round((new Date(end) - new Date(start)) / DAY_MS) + 1;
+        if (days.length !== expectedDays || days[0]?.date !== start || days[days.length - 1]?.date !== end) {
+            throw new Error(`Weather source returned ${days.length} of ${expectedDays} days for ${start} to ${end}`);
+        }
+
+        const incomplete = days.filter(day => REQUIRED_WEATHER_FIELDS.some(field => day[field] === undefined));
+        if (incomplete.length) {
+            throw new Error(
+                `Weather is missing ${REQUIRED_WEATHER_FIELDS.join('/')} values on ${incomplete.length} day(s), first on ${incomplete[0].date}`
+            );
+        }
+        return days;
+    }
+
+    /**
+     * Import a CABO, NASA POWER, AgERA5 or WOFOST sheet weather file, optionally recording it
+     * for the file provider so simulations at the site can run offline.
+     * @param {Object} request
+     * @param {string} request.content - File content
+     * @param {string} [request.format] - Detected from the content when omitted
+     * @param {Object} [request.location] - latitude, longitude and elevation overriding the file's site
+     * @param {number} [request.maxInterpolationDays]
+     * @param {boolean} [request.record=false] - Save the weather under config.weather.dataPath
+     * @returns {Promise<{format: string, site: Object, weather: Array, report: Object, recordedTo?: string}>}
+     */
+    static async importWeather({ content, format, location = {}, maxInterpolationDays, record = false }) {
+        const result = importWeather(content, { format, ...location, maxInterpolationDays });
+        logger.info('Imported weather file', { format: result.format, ...result.report.period, complete: result.report.complete });
+        if (!record) return result;
+
+        const { latitude, longitude } = result.site;
+        if (latitude === undefined || longitude === undefined) {
+            throw new ValidationError('The file has no site coordinates; pass location.latitude and location.longitude to record it');
+        }
+        if (!result.report.complete) {
+            throw new ValidationError(
+                `Only complete weather can be recorded; ${result.report.incompleteDays} day(s) still lack required values`
+            );
+        }
+        const provider = new FileWeatherProvider({ directory: config.weather.dataPath });
+        return { ...result, recordedTo: await provider.save(latitude, longitude, result.weather) };
+    }
+
+    /**
+     * Compute ET0 with FAO Penman-Monteith for days where the source did not provide it.
+     * @param {Array} weather
+     * @param {number} latitude
+     * @param {number} elevation
+     * @returns {Array}
+     */
+    static fillET0(weather, latitude, elevation) {
+        const missing = weather.filter(day => day.ET0 === undefined);
+        if (!missing.length) return weather;
+
+        if (missing.some(day => day.humidity === undefined)) {
+            throw new Error('ET0 and humidity are both missing on some days, so ET0 cannot be computed');
+        }
+        logger.info('Computing missing ET0', { days: missing.length, latitude, elevation });
+        return weather.map(day => day.ET0 === undefined
+            ? WeatherDataCreator.calculateET0([day], latitude, elevation)[0]
+            : day);
+    }
+}
+
+module.exports = {
+    OpenMeteoWeatherProvider,
+    FileWeatherProvider,
+    WofostWeatherService
+};
@@ -0,0 +1,155 @@
+const ee = require('@google/earthengine');
+
+/**
+ * Per-pixel cloud and shadow masks for optical imagery. Each mask function returns a single
+ * 'CLEAR' band that is 1 for usable pixels and 0 for cloud, shadow, snow or defective pixels,
+ * masked where the image has no data.
+ */
+
+const SENTINEL2_CLOUD_MASKS = ['scl', 'qa60', 's2cloudless'];
+
+// Scene classification classes kept by the SCL mask: vegetation, bare soil, water, unclassified
+const SCL_CLEAR_CLASSES = [4, 5, 6, 7];
+
+// QA60 bits: 10 opaque clouds, 11 cirrus
+const QA60_CLOUD_BITS = (1 << 10) | (1 << 11);
+
+// QA_PIXEL bits: 0 fill, 1 dilated cloud, 2 cirrus, 3 cloud, 4 cloud shadow, 5 snow
+const LANDSAT_QA_BITS = 0b111111;
+
+// s2cloudless shadow projection (Sentinel-2 cloud masking tutorial defaults)
+const S2CLOUDLESS_DEFAULTS = {
+    cloudProbability: 40,
+    darkNirThreshold: 0.15,
+    projectionDistanceKm: 1,
+    bufferMeters: 50
+};
+
+/**
+ * Attach the matching s2cloudless probability image to each Sentinel-2 image as 's2cloudless'.
+ * Required before using the 's2cloudless' mask.
+ * @param {ee.ImageCollection} collection - Filtered COPERNICUS/S2_SR_HARMONIZED collection
+ * @returns {ee.ImageCollection}
+ */
+function withCloudProbability(collection) {
+    const probability = ee.ImageCollection('COPERNICUS/S2_CLOUD_PROBABILITY')
+        .filter(ee.Filter.inList('system:index', collection.aggregate_array('system:index')));
+
+    return ee.ImageCollection(ee.Join.saveFirst('s2cloudless').apply({
+        primary: collection,
+        secondary: probability,
+        condition: ee.Filter.equals({ leftField: 'system:index', rightField: 'system:index' })
+    }));
+}
+
+/**
+ * Clear-pixel band of a Sentinel-2 L2A image.
+ * QA60 flags clouds and cirrus only, not shadows, and is empty for scenes processed between
+ * January 2022 and February 2024; SCL and s2cloudless also mask cloud shadow.
+ * @param {ee.Image} image
+ * @param {string} [method='scl'] - One of SENTINEL2_CLOUD_MASKS
+ * @param {Object} [options] - s2cloudless thresholds, see S2CLOUDLESS_DEFAULTS
+ * @returns {ee.Image}
+ */
+function sentinel2ClearMask(image, method = 'scl', options = {}) {
+    let clear;
+    switch (method) {
+        case 'scl': {
+            const scl = image.select('SCL');
+            clear = ee.Image(0);
+            SCL_CLEAR_CLASSES.forEach(value => {
+                clear = clear.or(scl.eq(value));
+            });
+            break;
+        }
+        case 'qa60':
+            clear = image.select('QA60').bitwiseAnd(QA60_CLOUD_BITS).eq(0);
+            break;
+        case 's2cloudless':
+            clear = s2cloudlessCloudAndShadow(image, { ...S2CLOUDLESS_DEFAULTS, ...options }).not();
+            break;
+        default:
+            throw new Error(`Unknown Sentinel-2 cloud mask '${method}'`);
+    }
+    return clear.updateMask(image.select('B4').mask()).rename('CLEAR');
+}
+
+/**
+ * Cloud from the s2cloudless probability, plus shadow as dark NIR pixels within the cloud
+ * projection along the solar azimuth, buffered.
+ * @returns {ee.Image} 1 for cloud or shadow
+ */
+function s2cloudlessCloudAndShadow(image, { cloudProbability, darkNirThreshold, projectionDistanceKm, bufferMeters }) {
+    const isCloud = ee.Image(image.get('s2cloudless')).select('probability').gt(cloudProbability);
+
+    const notWater = image.select('SCL').neq(6);
+    const darkPixels = image.select('B8').lt(darkNirThreshold * 10000).multiply(notWater);
+    const shadowAzimuth = ee.Number(90).subtract(ee.Number(image.get('MEAN_SOLAR_AZIMUTH_ANGLE')));
+    const cloudProjection = isCloud.directionalDistanceTransform(shadowAzimuth, projectionDistanceKm * 10)
+        .reproject({ crs: image.select(0).projection(), scale: 100 })
+        .select('distance')
+        .mask();
+    const shadows = cloudProjection.multiply(darkPixels);
+
+    return isCloud.add(shadows).gt(0)
+        .focalMin(2)
+        .focalMax(bufferMeters * 2 / 20)
+        .reproject({ crs: image.select(0).projection(), scale: 20 });
+}
+
+/**
+ * Clear-pixel band of a Landsat Collection 2 Level-2 image from QA_PIXEL, also excluding
+ * saturated pixels flagged in QA_RADSAT.
+ * @param {ee.Image} image
+ * @returns {ee.Image}
+ */
+function landsatClearMask(image) {
+    return image.select('QA_PIXEL').bitwiseAnd(LANDSAT_QA_BITS).eq(0)
+        .and(image.select('QA_RADSAT').eq(0))
+        .updateMask(image.select('SR_B4').mask())
+        .rename('CLEAR');
+}
+
+/**
+ * Fraction of the region covered by clear pixels. Parts of the region outside the image
+ * footprint count as not clear, so a scene that only partly covers a field scores lower.
+ * @param {ee.Image} clear - 'CLEAR' band from one of the mask functions
+ * @param {ee.Geometry} region
+ * @param {number} scale - Metres
+ * @returns {ee.Number}
+ */
+function clearFraction(clear, region, scale) {
+    const mean = clear.unmask(0).reduceRegion({
+        reducer: ee.Reducer.mean(),
+        geometry: region,
+        scale,
+        maxPixels: 1e9,
+        tileScale: 4
+    });
+    return ee.Number(ee.Algorithms.If(mean.get('CLEAR'), mean.get('CLEAR'), 0));
+}
+
+/**
+ * Mask each image's unclear pixels and record the clear fraction over the region as CLEAR_FRACTION.
+ * @param {ee.ImageCollection} collection
+ * @param {ee.Geometry} region
+ * @param {function(ee.Image): ee.Image} clearMask - Returns the 'CLEAR' band of an image
+ * @param {number} scale - Metres
+ * @returns {ee.ImageCollection}
+ */
+function applyClearMask(collection, region, clearMask, scale) {
+    return collection.map(image => {
+        const clear = clearMask(image);
+        return image.updateMask(clear.unmask(0))
+            .set('CLEAR_FRACTION', clearFraction(clear, region, scale));
+    });
+}
+
+module.exports = {
+    SENTINEL2_CLOUD_MASKS,
+    withCloudProbability,
+    sentinel2ClearMask,
+    landsatClearMask,
+    clearFraction,
+    applyClearMask
+};
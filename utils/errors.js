@@ -12,7 +12,15 @@ class ModelError extends Error {
     }
 }
 
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+    }
+}
+
 module.exports = {
     ValidationError,
-    ModelError
+    ModelError,
+    NotFoundError
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32) so that shuffles and
+ * sampling in model code are reproducible for a given seed.
+ * @param {number} seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed = 42) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fisher-Yates shuffle of a copy of the array.
+ * @param {Array} array
+ * @param {Function} random - Generator from createRandom
+ * @returns {Array}
+ */
+function shuffle(array, random) {
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+module.exports = { createRandom, shuffle };
@@ -0,0 +1,83 @@
+const turf = require('@turf/turf');
+const locations = require('../data/zw.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+const PROVINCES = [...new Set(locations.map(location => location.admin_name))].sort();
+
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const toRad = value => value * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Canonical province name for a free-text region, matched case-insensitively.
+ * @param {string} region
+ * @returns {string|null}
+ */
+function normalizeProvince(region) {
+    if (typeof region !== 'string') return null;
+    return PROVINCES.find(province => province.toLowerCase() === region.trim().toLowerCase()) || null;
+}
+
+/**
+ * Province of the town in data/zw.json closest to a point.
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {string}
+ */
+function findNearestProvince(lat, lon) {
+    let nearest = null;
+    let minDistance = Infinity;
+    for (const location of locations) {
+        const distance = haversineDistance(lat, lon, parseFloat(location.lat), parseFloat(location.lng));
+        if (distance < minDistance) {
+            minDistance = distance;
+            nearest = location.admin_name;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Coordinates of a field record: the centroid of its `polygon` (a GeoJSON Feature or geometry),
+ * or else its `location` ({lat, lon}).
+ * @param {Object} dailyData
+ * @returns {{lat: number, lon: number}|null}
+ */
+function getFieldCoordinates(dailyData) {
+    if (dailyData?.polygon) {
+        const [lon, lat] = turf.centroid(dailyData.polygon).geometry.coordinates;
+        if (Number.isFinite(lat) && Number.isFinite(lon)) return { lat, lon };
+    }
+
+    const lat = dailyData?.location?.lat;
+    const lon = dailyData?.location?.lon ?? dailyData?.location?.lng;
+    if (Number.isFinite(lat) && Number.isFinite(lon)) return { lat, lon };
+    return null;
+}
+
+/**
+ * Province of a field record, from its `region` name or else its coordinates.
+ * @param {Object} dailyData
+ * @returns {string|null}
+ */
+function resolveProvince(dailyData) {
+    const named = normalizeProvince(dailyData?.region);
+    if (named) return named;
+
+    const coordinates = getFieldCoordinates(dailyData);
+    return coordinates ? findNearestProvince(coordinates.lat, coordinates.lon) : null;
+}
+
+module.exports = {
+    PROVINCES,
+    normalizeProvince,
+    findNearestProvince,
+    getFieldCoordinates,
+    resolveProvince
+};
@@ -0,0 +1,123 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Growing season calendars, written for the southern hemisphere (Zimbabwe).
+ * `start` is the month and day the season opens ('MM-DD'); `lengthDays` is how long it runs.
+ * Summer crops follow the November–April rains; wheat is an irrigated winter crop.
+ */
+const DEFAULT_SEASON_CALENDARS = {
+    default: { start: '11-01', lengthDays: 181 },
+    maize: { start: '11-01', lengthDays: 181 },
+    sorghum: { start: '11-15', lengthDays: 150 },
+    millet: { start: '11-15', lengthDays: 130 },
+    groundnut: { start: '11-15', lengthDays: 150 },
+    soybean: { start: '11-15', lengthDays: 150 },
+    cotton: { start: '11-01', lengthDays: 200 },
+    tobacco: { start: '10-01', lengthDays: 180 },
+    wheat: { start: '05-01', lengthDays: 150 }
+};
+
+/**
+ * Per-province calendars that differ from the defaults, keyed by province then crop.
+ * The drier southern and western provinces see later onset and an earlier end to the rains.
+ */
+const REGIONAL_SEASON_CALENDARS = {
+    'Matabeleland North': {
+        default: { start: '11-15', lengthDays: 150 },
+        maize: { start: '11-15', lengthDays: 150 }
+    },
+    'Matabeleland South': {
+        default: { start: '11-20', lengthDays: 140 },
+        maize: { start: '11-20', lengthDays: 140 }
+    },
+    Masvingo: {
+        default: { start: '11-15', lengthDays: 150 },
+        maize: { start: '11-15', lengthDays: 150 }
+    }
+};
+
+function parseMonthDay(start) {
+    const [month, day] = String(start).split('-').map(Number);
+    if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(day) || day < 1 || day > 31) {
+        throw new Error(`Invalid season start '${start}', expected 'MM-DD'`);
+    }
+    return { month, day };
+}
+
+/**
+ * Season calendar for a crop in a region at a latitude.
+ * Lookup order: regional calendar for the crop, crop calendar, regional default, default.
+ * Calendars are southern-hemisphere unless they set `hemisphere: 'north'`; fields in the
+ * other hemisphere get the same calendar shifted by six months.
+ * @param {Object} options
+ * @param {string} [options.cropType]
+ * @param {string} [options.region] - Province name
+ * @param {number} [options.latitude]
+ * @param {Object} [overrides] - `{calendars, regions}` merged over the defaults
+ * @returns {{month: number, day: number, lengthDays: number, hemisphere: string}}
+ */
+function resolveSeasonCalendar({ cropType, region, latitude } = {}, overrides = {}) {
+    const calendars = { ...DEFAULT_SEASON_CALENDARS, ...overrides.calendars };
+    const regions = { ...REGIONAL_SEASON_CALENDARS, ...overrides.regions };
+    const crop = typeof cropType === 'string' ? cropType.trim().toLowerCase() : null;
+    const regional = (region && regions[region]) || {};
+
+    const calendar = (crop && regional[crop]) || (crop && calendars[crop]) || regional.default || calendars.default;
+    const calendarHemisphere = calendar.hemisphere === 'north' ? 'north' : 'south';
+    const hemisphere = Number.isFinite(latitude) ? (latitude >= 0 ? 'north' : 'south') : calendarHemisphere;
+
+    let { month, day } = parseMonthDay(calendar.start);
+    if (hemisphere !== calendarHemisphere) {
+        month = ((month + 5) % 12) + 1;
+    }
+    return { month, day, lengthDays: calendar.lengthDays, hemisphere };
+}
+
+/**
+ * Opening date of the most recent season starting on or before a date.
+ * @param {Date} date
+ * @param {Object} calendar - From resolveSeasonCalendar
+ * @returns {Date}
+ */
+function getSeasonStart(date, calendar) {
+    const year = date.getUTCFullYear();
+    const start = new Date(Date.UTC(year, calendar.month - 1, calendar.day));
+    return start <= date ? start : new Date(Date.UTC(year - 1, calendar.month - 1, calendar.day));
+}
+
+/**
+ * Fraction of the season elapsed at a date: 0 at the opening date, 1 from the season end
+ * until the next season opens.
+ * @param {Date} date
+ * @param {Object} calendar
+ * @returns {number}
+ */
+function getSeasonProgress(date, calendar) {
+    const elapsed = (date - getSeasonStart(date, calendar)) / DAY_MS;
+    return Math.min(1, elapsed / calendar.lengthDays);
+}
+
+/**
+ * Label of the season a date falls in, e.g. '2024/25' for a season opening in November 2024
+ * or '2025' for one contained in a single calendar year.
+ * @param {Date} date
+ * @param {Object} calendar
+ * @returns {string}
+ */
+function getSeasonLabel(date, calendar) {
+    const start = getSeasonStart(date, calendar);
+    const end = new Date(start.getTime() + calendar.lengthDays * DAY_MS);
+    const startYear = start.getUTCFullYear();
+    return end.getUTCFullYear() === startYear
+        ? String(startYear)
+        : `${startYear}/${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+module.exports = {
+    DEFAULT_SEASON_CALENDARS,
+    REGIONAL_SEASON_CALENDARS,
+    resolveSeasonCalendar,
+    getSeasonStart,
+    getSeasonProgress,
+    getSeasonLabel
+};
@@ -0,0 +1,160 @@
+/**
+ * Smoothing of irregularly spaced time series, such as vegetation indices from cloud-free acquisitions.
+ * Times are in days; values may be null where a point has no observation.
+ */
+
+const SMOOTHING_METHODS = ['savitzky-golay', 'whittaker'];
+
+/**
+ * Solve a small dense linear system by Gaussian elimination with partial pivoting.
+ * @param {Array<Array<number>>} matrix
+ * @param {Array<number>} vector
+ * @returns {Array<number>|null} null when the system is singular
+ */
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * solution[k];
+        solution[row] = sum / a[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Savitzky-Golay smoothing generalised to uneven spacing: each point is replaced by the value at its
+ * own time of a least-squares polynomial fitted to the `windowSize` nearest observations.
+ * @param {Array<number>} times - Days, ascending
+ * @param {Array<number|null>} values
+ * @param {Object} [options]
+ * @param {number} [options.windowSize=5] - Observations per local fit
+ * @param {number} [options.polynomialOrder=2]
+ * @returns {Array<number|null>} Smoothed values; null where the input is null
+ */
+function savitzkyGolay(times, values, { windowSize = 5, polynomialOrder = 2 } = {}) {
+    const observed = times.map((time, i) => ({ time, value: values[i] })).filter(point => point.value !== null && point.value !== undefined);
+    const size = Math.min(windowSize, observed.length);
+    if (size <= polynomialOrder) return values.map(value => value ?? null);
+
+    return times.map((time, i) => {
+        if (values[i] === null || values[i] === undefined) return null;
+
+        // The window of nearest observations, kept contiguous in time
+        const center = observed.findIndex(point => point.time === time);
+        const start = Math.min(Math.max(0, center - Math.floor(size / 2)), observed.length - size);
+        const window = observed.slice(start, start + size);
+
+        // Normal equations of the polynomial in (t - time); the constant term is the smoothed value
+        const terms = polynomialOrder + 1;
+        const matrix = Array.from({ length: terms }, () => new Array(terms).fill(0));
+        const vector = new Array(terms).fill(0);
+        for (const point of window) {
+            const dt = point.time - time;
+            for (let r = 0; r < terms; r++) {
+                vector[r] += point.value * dt ** r;
+                for (let c = 0; c < terms; c++) matrix[r][c] += dt ** (r + c);
+            }
+        }
+        const coefficients = solveLinearSystem(matrix, vector);
+        return coefficients ? coefficients[0] : values[i];
+    });
+}
+
+/**
+ * Whittaker smoother (Eilers 2003) with second-order differences on a daily grid. Days without an
+ * observation get zero weight, so uneven spacing and gaps are handled directly.
+ * @param {Array<number>} times - Days, ascending
+ * @param {Array<number|null>} values
+ * @param {Object} [options]
+ * @param {number} [options.lambda=1000] - Smoothness; larger is smoother
+ * @returns {Array<number|null>} Smoothed values at the input times; null where the input is null
+ */
+function whittaker(times, values, { lambda = 1000 } = {}) {
+    const observed = times.map((time, i) => ({ time: Math.round(time), value: values[i] }))
+        .filter(point => point.value !== null && point.value !== undefined);
+    if (observed.length < 3) return values.map(value => value ?? null);
+
+    const origin = observed[0].time;
+    const n = observed[observed.length - 1].time - origin + 1;
+    const weights = new Array(n).fill(0);
+    const rhs = new Array(n).fill(0);
+    for (const { time, value } of observed) {
+        weights[time - origin] += 1;
+        rhs[time - origin] += value;
+    }
+
+    // (W + lambda * D'D) z = W y, stored as the diagonal and the first two super-diagonals
+    const diagonal = [...weights];
+    const upper1 = new Array(n).fill(0);
+    const upper2 = new Array(n).fill(0);
+    for (let k = 0; k < n - 2; k++) {
+        diagonal[k] += lambda;
+        diagonal[k + 1] += 4 * lambda;
+        diagonal[k + 2] += lambda;
+        upper1[k] -= 2 * lambda;
+        upper1[k + 1] -= 2 * lambda;
+        upper2[k] += lambda;
+    }
+
+    // Banded LDLᵀ factorisation and solve
+    const d = new Array(n).fill(0);
+    const l1 = new Array(n).fill(0); // L[i][i-1]
+    const l2 = new Array(n).fill(0); // L[i][i-2]
+    for (let i = 0; i < n; i++) {
+        if (i >= 2) l2[i] = upper2[i - 2] / d[i - 2];
+        if (i >= 1) l1[i] = (upper1[i - 1] - (i >= 2 ? l2[i] * d[i - 2] * l1[i - 1] : 0)) / d[i - 1];
+        d[i] = diagonal[i] - (i >= 1 ? l1[i] ** 2 * d[i - 1] : 0) - (i >= 2 ? l2[i] ** 2 * d[i - 2] : 0);
+    }
+    const y = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+        y[i] = rhs[i] - (i >= 1 ? l1[i] * y[i - 1] : 0) - (i >= 2 ? l2[i] * y[i - 2] : 0);
+    }
+    const z = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        z[i] = y[i] / d[i] - (i + 1 < n ? l1[i + 1] * z[i + 1] : 0) - (i + 2 < n ? l2[i + 2] * z[i + 2] : 0);
+    }
+
+    return times.map((time, i) => (values[i] === null || values[i] === undefined ? null : z[Math.round(time) - origin]));
+}
+
+/**
+ * Smooth a series with the named method.
+ * @param {Array<number>} times - Days, ascending
+ * @param {Array<number|null>} values
+ * @param {{method: string, windowSize?: number, polynomialOrder?: number, lambda?: number}} options
+ * @returns {Array<number|null>}
+ */
+function smoothSeries(times, values, { method, ...options }) {
+    switch (method) {
+        case 'savitzky-golay':
+            return savitzkyGolay(times, values, options);
+        case 'whittaker':
+            return whittaker(times, values, options);
+        default:
+            throw new Error(`Unknown smoothing method '${method}'`);
+    }
+}
+
+module.exports = {
+    SMOOTHING_METHODS,
+    savitzkyGolay,
+    whittaker,
+    smoothSeries
+};
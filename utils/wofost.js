@@ -15,6 +15,45 @@
  * @module wofost
  */
 
+const {
+    createSoilProfile,
+    initialLayerContents,
+    rootZoneWater,
+    stepSoilWater
+} = require('./wofostSoilWater');
+const {
+    createNutrientState,
+    initializeCropNutrients,
+    fertilizerForDay,
+    stepNutrients
+} = require('./wofostNutrients');
+const { IRRIGATION_MODES, ruleIrrigationAmount } = require('./wofostIrrigation');
+const {
+    DEFAULT_STRESS_STAGES,
+    STRESS_DAY_THRESHOLD,
+    newPhenologyEvents,
+    createStageStress,
+    recordStageStress,
+    summarizeStageStress,
+    harvestIndexYield
+} = require('./wofostPhenology');
+
+const PRODUCTION_LEVELS = ['potential', 'water-limited', 'nutrient-limited'];
+
+// Bumped whenever the serialized form changes incompatibly
+const CHECKPOINT_VERSION = 1;
+
+const SOIL_WATER_FLUXES = [
+    'rainfall',
+    'irrigation',
+    'runoff',
+    'infiltration',
+    'evapotranspiration',
+    'percolation',
+    'deepDrainage',
+    'capillaryRise'
+];
+
 /**
  * Weather data structure for WOFOST model
  * @typedef {Object} WeatherData
@@ -30,13 +69,20 @@
 
 /**
  * Soil parameters for WOFOST model
+ * Without `soilLayers` the soil is a single bucket described by the mm values; with them the
+ * layered balance in wofostSoilWater.js is used and the single-bucket values are ignored.
  * @typedef {Object} SoilParams
  * @property {number} fieldCapacity - Field capacity (mm)
  * @property {number} wiltingPoint - Wilting point (mm)
  * @property {number} saturation - Saturation point (mm)
  * @property {number} [initialWaterContent] - Initial water content (mm) (optional, defaults to fieldCapacity)
- * @property {number} [maxRootingDepth] - Maximum rooting depth (m) (optional)
- * @property {Object} [soilLayers] - Information about soil layers (optional)
+ * @property {number} [maxRootingDepth] - Maximum rooting depth (m) (optional, defaults to the depth of the layers)
+ * @property {Array<import('./wofostSoilWater').SoilLayer>} [soilLayers] - Soil layers from the surface down (optional)
+ * @property {number} [curveNumber] - SCS runoff curve number for layered soils (optional, default 75)
+ * @property {number} [groundwaterDepth] - Water table depth (m) enabling capillary rise (optional)
+ * @property {number} [maxCapillaryRise] - Capillary rise with the water table at the root zone (mm/day) (optional, default 3)
+ * @property {Object} [nutrients] - Plant-available N/P/K at planting and daily mineralization,
+ *   e.g. {N: {initial: 20, mineralization: 0.4}} (kg/ha, kg/ha/day) (optional, used when nutrient-limited)
  */
 
 /**
@@ -44,7 +90,9 @@
  * @typedef {Object} ManagementParams
  * @property {string|Date} plantingDate - Planting date
  * @property {Array} [irrigation] - Irrigation events [{date: Date, amount: number}]
- * @property {Object} [fertilization] - Fertilization information
+ * @property {import('./wofostIrrigation').IrrigationRules} [irrigationRules] - Rule-based irrigation, applied on top of the events (optional)
+ * @property {Array<import('./wofostNutrients').FertilizerEvent>} [fertilization] - Fertilizer events (used when nutrient-limited)
+ * @property {string} [productionLevel] - 'potential', 'water-limited' or 'nutrient-limited' (optional, default 'water-limited')
  */
 
 class Wofost {
@@ -59,6 +107,11 @@ class Wofost {
         this.crop = cropParams;
         this.soil = soilParams;
         this.management = managementParams;
+        this.productionLevel = managementParams.productionLevel || 'water-limited';
+        if (!PRODUCTION_LEVELS.includes(this.productionLevel)) {
+            throw new Error(`Unknown production level '${this.productionLevel}'`);
+        }
+        this._validateIrrigationRules(managementParams.irrigationRules);
 
         // Initialize state variables
         this.state = {
@@ -85,17 +138,45 @@ class Wofost {
             assimilates: {
                 total: 0, // Total assimilates produced (kg/ha/day)
                 reserved: 0 // Reserve assimilates (kg/ha)
-            }
+            },
+            irrigation: {
+                total: 0, // Water applied since planting (mm)
+                applications: 0 // Number of days with irrigation
+            },
+            waterStressFactor: 1 // Water stress factor of the last simulated day (1 = no stress)
         };
 
         // Initialize simulation date and history
         this.simulationDate = null;
         this.history = [];
+        this.irrigationEvents = [];
+        this.phenologyEvents = [];
+        this.stageStress = createStageStress(cropParams.stressStages);
         this.hasStarted = false;
         this.isFinished = false;
 
-        // Initialize the soil water state
+        // Initialize the soil water and nutrient states
         this._initializeSoilWater();
+        this._initializeNutrients();
+    }
+
+    /**
+     * Check rule-based irrigation settings
+     * @param {Object} [rules]
+     * @private
+     */
+    _validateIrrigationRules(rules) {
+        if (!rules) return;
+
+        if (!IRRIGATION_MODES.includes(rules.mode)) {
+            throw new Error(`Unknown irrigation mode '${rules.mode}'`);
+        }
+        if (rules.mode === 'interval' && !(rules.intervalDays >= 1)) {
+            throw new Error('Interval irrigation needs intervalDays of at least 1');
+        }
+        if (rules.mode === 'deficit' && !rules.stages?.length) {
+            throw new Error('Deficit irrigation needs at least one stage');
+        }
     }
 
     /**
@@ -103,13 +184,46 @@ class Wofost {
      * @private
      */
     _initializeSoilWater() {
+        const emptyFluxes = () => Object.fromEntries(SOIL_WATER_FLUXES.map(flux => [flux, 0]));
+
+        if (this.soil.soilLayers) {
+            this.soilProfile = createSoilProfile(this.soil);
+            const layers = initialLayerContents(this.soilProfile);
+            const rootingDepth = Math.min(this.crop.initialRootingDepth ?? 0.1, this.soilProfile.maxRootingDepth);
+
+            this.state.soilWater = {
+                ...rootZoneWater(this.soilProfile, layers, rootingDepth),
+                rootingDepth, // Current rooting depth (m)
+                layers, // Water content per layer (mm)
+                fluxes: emptyFluxes(), // Fluxes of the last simulated day (mm)
+                cumulative: emptyFluxes() // Fluxes summed since the start (mm)
+            };
+            return;
+        }
+
         const { fieldCapacity, wiltingPoint, saturation, initialWaterContent } = this.soil;
+        this.soilProfile = null;
 
         this.state.soilWater = {
             content: initialWaterContent || fieldCapacity, // Default to field capacity if not specified
             field_capacity: fieldCapacity,
             wilting_point: wiltingPoint,
-            saturation: saturation
+            saturation: saturation,
+            fluxes: emptyFluxes(),
+            cumulative: emptyFluxes()
+        };
+    }
+
+    /**
+     * Initialize soil nutrient pools when simulating nutrient-limited production
+     * @private
+     */
+    _initializeNutrients() {
+        if (this.productionLevel !== 'nutrient-limited') return;
+
+        this.state.nutrients = {
+            ...createNutrientState(this.soil.nutrients),
+            accountedDeadLeaves: 0 // Dead leaf weight whose nutrient loss is already counted (kg/ha)
         };
     }
 
@@ -155,6 +269,10 @@ class Wofost {
         this.state.roots = totalInitialBiomass * 0.3;
         this.state.totalAboveGroundBiomass = this.state.leaves + this.state.stems;
         this.state.totalBelowGroundBiomass = this.state.roots;
+
+        if (this.state.nutrients) {
+            initializeCropNutrients(this.state.nutrients, this.state, this.crop.nutrients);
+        }
     }
 
     /**
@@ -185,6 +303,9 @@ class Wofost {
             this.simulationDate.setDate(this.simulationDate.getDate() + 1);
             this.state.daysSincePlanting++;
 
+            // Date the phenology events reached
+            this._recordPhenologyEvents();
+
             // Save the state to history
             this._saveCurrentState();
 
@@ -198,6 +319,37 @@ class Wofost {
         return this.history;
     }
 
+    /**
+     * Simulate the days of weather that continue from the current simulation date, stopping at the end
+     * of the weather, at a missing day or at maturity. Days before the current date are skipped, so the
+     * same or overlapping weather can be passed on every call.
+     * @param {Array} weatherData - Daily weather with `date`
+     * @returns {number} - Number of days simulated
+     */
+    advance(weatherData) {
+        if (!this.hasStarted) {
+            throw new Error('Simulation has not been started. Call start() first.');
+        }
+
+        const toDay = date => new Date(date).toISOString().split('T')[0];
+        const days = [...weatherData].sort((a, b) => new Date(a.date) - new Date(b.date));
+        let simulated = 0;
+
+        for (const day of days) {
+            if (this.isFinished) break;
+
+            const current = toDay(this.simulationDate);
+            const dayStr = toDay(day.date);
+            if (dayStr < current) continue;
+            if (dayStr > current) break;
+
+            this.run(1, [day]);
+            simulated++;
+        }
+
+        return simulated;
+    }
+
     /**
      * Simulate a single day
      * @param {Object} weather - Weather data for the day
@@ -213,12 +365,16 @@ class Wofost {
         // Update soil water balance
         this._updateSoilWaterBalance(weather);
 
+        // Update soil nutrient supply and crop uptake
+        const nutrientStressFactor = this._updateNutrientBalance();
+
         // Calculate potential photosynthesis
         const potentialAssimilates = this._calculatePotentialPhotosynthesis(weather);
 
-        // Adjust for water stress
-        const waterStressFactor = this._calculateWaterStress();
-        const actualAssimilates = potentialAssimilates * waterStressFactor;
+        // Adjust for water and nutrient stress; potential production ignores water stress
+        const waterStressFactor = this.productionLevel === 'potential' ? 1 : this._calculateWaterStress();
+        const actualAssimilates = potentialAssimilates * waterStressFactor * nutrientStressFactor;
+        this._recordWaterStress(waterStressFactor);
 
         // Calculate maintenance respiration
         const maintenanceRespiration = this._calculateMaintenanceRespiration(weather);
@@ -282,6 +438,34 @@ class Wofost {
         }
     }
 
+    /**
+     * Record emergence, flowering and maturity on the date they are reached
+     * @private
+     */
+    _recordPhenologyEvents() {
+        const date = this.simulationDate.toISOString().split('T')[0];
+        for (const event of newPhenologyEvents(this.state, this.crop, this.phenologyEvents)) {
+            this.phenologyEvents.push({
+                event,
+                date,
+                daysAfterPlanting: this.state.daysSincePlanting,
+                developmentStage: this.state.developmentStage
+            });
+        }
+    }
+
+    /**
+     * Keep the day's water stress factor and add it to the summary of the crop stage after emergence
+     * @param {number} waterStressFactor
+     * @private
+     */
+    _recordWaterStress(waterStressFactor) {
+        this.state.waterStressFactor = waterStressFactor;
+        if (this.state.temperature.effectiveSum >= this.crop.emergenceTSum) {
+            recordStageStress(this.stageStress, this.state.developmentStage, waterStressFactor);
+        }
+    }
+
     /**
      * Update soil water balance
      * @param {Object} weather - Weather data for the day
@@ -304,7 +488,12 @@ class Wofost {
         // Irrigation (if scheduled for today)
         const irrigation = this._getIrrigationAmount() || 0;
 
-        // Calculate drainage (excess water above field capacity)
+        if (this.soilProfile) {
+            this._updateLayeredSoilWater(rainfall, irrigation, actualET);
+            return;
+        }
+
+        // Calculate drainage (excess water above saturation)
         let newWaterContent = soilWater.content + rainfall + irrigation - actualET;
         let drainage = 0;
 
@@ -315,6 +504,84 @@ class Wofost {
 
         // Update soil water content
         soilWater.content = newWaterContent;
+        this._recordSoilWaterFluxes({
+            rainfall,
+            irrigation,
+            runoff: 0,
+            infiltration: rainfall + irrigation,
+            evapotranspiration: actualET,
+            percolation: 0,
+            deepDrainage: drainage,
+            capillaryRise: 0
+        });
+    }
+
+    /**
+     * Grow the root zone and advance the layered soil water balance
+     * @param {number} rainfall - mm
+     * @param {number} irrigation - mm
+     * @param {number} evapotranspiration - Stress-reduced evapotranspiration demand (mm)
+     * @private
+     */
+    _updateLayeredSoilWater(rainfall, irrigation, evapotranspiration) {
+        const { soilWater } = this.state;
+
+        // Roots extend from emergence until flowering
+        const emerged = this.state.temperature.effectiveSum >= this.crop.emergenceTSum;
+        if (emerged && this.state.developmentStage < 1) {
+            soilWater.rootingDepth = Math.min(
+                soilWater.rootingDepth + (this.crop.rootGrowthRate ?? 0.012),
+                this.soilProfile.maxRootingDepth
+            );
+        }
+
+        const { contents, fluxes } = stepSoilWater(this.soilProfile, soilWater.layers, {
+            rainfall,
+            irrigation,
+            evapotranspiration,
+            rootingDepth: soilWater.rootingDepth
+        });
+
+        soilWater.layers = contents;
+        Object.assign(soilWater, rootZoneWater(this.soilProfile, contents, soilWater.rootingDepth));
+        this._recordSoilWaterFluxes(fluxes);
+    }
+
+    /**
+     * Store the day's soil water fluxes and add them to the running totals
+     * @param {Object} fluxes - Fluxes by name (mm)
+     * @private
+     */
+    _recordSoilWaterFluxes(fluxes) {
+        const { soilWater } = this.state;
+        soilWater.fluxes = fluxes;
+        for (const flux of SOIL_WATER_FLUXES) {
+            soilWater.cumulative[flux] += fluxes[flux];
+        }
+    }
+
+    /**
+     * Apply today's fertilizer and mineralization, take up nutrients and compute the nutrient stress
+     * @returns {number} - Nutrient stress factor (0-1), 1 unless nutrient-limited
+     * @private
+     */
+    _updateNutrientBalance() {
+        const { nutrients } = this.state;
+        if (!nutrients) return 1;
+
+        const day = this.simulationDate.toISOString().split('T')[0];
+        const plantingDay = new Date(this.management.plantingDate).toISOString().split('T')[0];
+        const senescedLeaves = this.state.deadLeaves - nutrients.accountedDeadLeaves;
+        nutrients.accountedDeadLeaves = this.state.deadLeaves;
+
+        stepNutrients(nutrients, {
+            organWeights: this.state,
+            senescedLeaves,
+            fertilizer: fertilizerForDay(this.management.fertilization, day, plantingDay),
+            soilNutrients: this.soil.nutrients,
+            cropNutrients: this.crop.nutrients
+        });
+        return nutrients.stressFactor;
     }
 
     /**
@@ -368,18 +635,47 @@ class Wofost {
     }
 
     /**
-     * Get scheduled irrigation amount for the current day
+     * Get the irrigation amount for the current day, from scheduled events and irrigation rules,
+     * and record it as an irrigation event
      * @returns {number} - Irrigation amount (mm)
      * @private
      */
     _getIrrigationAmount() {
+        const currentDateStr = this.simulationDate.toISOString().split('T')[0];
+        const scheduled = this._getScheduledIrrigation(currentDateStr);
+
+        let rule = 0;
+        if (this.management.irrigationRules) {
+            const { soilWater, developmentStage, daysSincePlanting, irrigation } = this.state;
+            rule = ruleIrrigationAmount(this.management.irrigationRules, {
+                soilWater: { ...soilWater, content: soilWater.content + scheduled },
+                developmentStage,
+                daysSincePlanting,
+                appliedToDate: irrigation.total + scheduled
+            });
+        }
+
+        const amount = scheduled + rule;
+        if (amount > 0) {
+            this.state.irrigation.total += amount;
+            this.state.irrigation.applications++;
+            this.irrigationEvents.push({ date: currentDateStr, amount, scheduled, rule });
+        }
+        return amount;
+    }
+
+    /**
+     * Get scheduled irrigation amount for a day
+     * @param {string} currentDateStr - YYYY-MM-DD
+     * @returns {number} - Irrigation amount (mm)
+     * @private
+     */
+    _getScheduledIrrigation(currentDateStr) {
         if (!this.management.irrigation) {
             return 0;
         }
 
         // Check if there's an irrigation event scheduled for today
-        const currentDateStr = this.simulationDate.toISOString().split('T')[0];
-
         for (const event of this.management.irrigation) {
             const eventDateStr = new Date(event.date).toISOString().split('T')[0];
             if (eventDateStr === currentDateStr) {
@@ -407,8 +703,8 @@ class Wofost {
         const fractionIntercepted = 1 - Math.exp(-k * leafAreaIndex);
         const interceptedRadiation = solarRadiation * fractionIntercepted;
 
-        // Base calculation: RUE * intercepted radiation
-        let potentialAssimilates = RUE * interceptedRadiation;
+        // Base calculation: RUE * intercepted radiation, converted from g/m² to kg/ha
+        let potentialAssimilates = RUE * interceptedRadiation * 10;
 
         // Adjust for temperature effects
         const temperatureFactor = this._calculateTemperatureFactor(Tmin, Tmax);
@@ -657,8 +953,11 @@ class Wofost {
      * @returns {Object} - Current model state
      */
     getResults() {
+        const { nutrients } = this.state;
+
         return {
             date: new Date(this.simulationDate),
+            productionLevel: this.productionLevel,
             developmentStage: this.state.developmentStage,
             leafAreaIndex: this.state.leafAreaIndex,
             biomass: {
@@ -674,8 +973,41 @@ class Wofost {
                 }
             },
             soil: {
-                waterContent: this.state.soilWater.content
+                waterContent: this.state.soilWater.content,
+                ...(this.soilProfile && {
+                    rootingDepth: this.state.soilWater.rootingDepth,
+                    layers: this.state.soilWater.layers
+                }),
+                fluxes: this.state.soilWater.fluxes,
+                cumulativeFluxes: this.state.soilWater.cumulative
             },
+            irrigation: {
+                total: this.state.irrigation.total,
+                events: this.irrigationEvents.map(event => ({ ...event }))
+            },
+            phenology: {
+                events: this.phenologyEvents.map(event => ({ ...event }))
+            },
+            waterStress: {
+                stressDayThreshold: STRESS_DAY_THRESHOLD,
+                stages: summarizeStageStress(this.stageStress)
+            },
+            ...(this.crop.harvestIndex && {
+                grainYield: {
+                    ...harvestIndexYield(this.crop, this.state.totalAboveGroundBiomass, this.stageStress),
+                    final: this.isFinished
+                }
+            }),
+            ...(nutrients && {
+                nutrients: {
+                    index: nutrients.index,
+                    stressFactor: nutrients.stressFactor,
+                    limitingNutrient: nutrients.limitingNutrient,
+                    N: { ...nutrients.N },
+                    P: { ...nutrients.P },
+                    K: { ...nutrients.K }
+                }
+            }),
             isFinished: this.isFinished
         };
     }
@@ -688,6 +1020,86 @@ class Wofost {
         return this.history;
     }
 
+    /**
+     * Replace crop state variables with externally corrected values, e.g. from data assimilation.
+     * Biomass totals are recomputed and the latest history entry is updated to match.
+     * @param {Object} updates - Any of leafAreaIndex, leaves, stems, organs and roots; negative values are set to 0
+     */
+    updateState(updates) {
+        for (const key of ['leafAreaIndex', 'leaves', 'stems', 'organs', 'roots']) {
+            if (updates[key] !== undefined) {
+                this.state[key] = Math.max(0, updates[key]);
+            }
+        }
+        this._updateTotalBiomass();
+
+        if (this.history.length) {
+            this.history.pop();
+            this._saveCurrentState();
+        }
+    }
+
+    /**
+     * Serialize the model with its parameters, state and history so it can be resumed with fromJSON
+     * @returns {Object}
+     */
+    toJSON() {
+        if (!Array.isArray(this.crop.partitioning)) {
+            throw new Error('Only models with a partitioning table can be serialized');
+        }
+
+        return {
+            checkpointVersion: CHECKPOINT_VERSION,
+            crop: this.crop,
+            soil: this.soil,
+            management: this.management,
+            state: this.state,
+            simulationDate: this.simulationDate,
+            history: this.history,
+            irrigationEvents: this.irrigationEvents,
+            phenologyEvents: this.phenologyEvents,
+            stageStress: this.stageStress,
+            hasStarted: this.hasStarted,
+            isFinished: this.isFinished
+        };
+    }
+
+    /**
+     * Restore a model serialized with toJSON
+     * @param {Object} data - Output of toJSON, as an object or parsed from JSON
+     * @returns {Wofost}
+     */
+    static fromJSON(data) {
+        if (data.checkpointVersion !== CHECKPOINT_VERSION) {
+            throw new Error(`Unsupported checkpoint version ${data.checkpointVersion}`);
+        }
+
+        const copy = JSON.parse(JSON.stringify(data));
+        const model = new Wofost(copy.crop, copy.soil, copy.management);
+        model.state = copy.state;
+        model.simulationDate = copy.simulationDate ? new Date(copy.simulationDate) : null;
+        model.history = copy.history.map(entry => ({ ...entry, date: new Date(entry.date) }));
+        model.irrigationEvents = copy.irrigationEvents || [];
+        model.phenologyEvents = copy.phenologyEvents || [];
+        model.stageStress = copy.stageStress || model.stageStress;
+        model.hasStarted = copy.hasStarted;
+        model.isFinished = copy.isFinished;
+        return model;
+    }
+
+    /**
+     * Create a new, unstarted model with this model's parameters
+     * @param {Object} [overrides] - Crop, soil and management parameters replacing this model's values
+     * @returns {Wofost}
+     */
+    clone({ crop = {}, soil = {}, management = {} } = {}) {
+        return new Wofost(
+            { ...this.crop, ...crop },
+            { ...this.soil, ...soil },
+            { ...this.management, ...management }
+        );
+    }
+
     /**
      * Reset the simulation to initial state
      */
@@ -717,17 +1129,26 @@ class Wofost {
             assimilates: {
                 total: 0,
                 reserved: 0
-            }
+            },
+            irrigation: {
+                total: 0,
+                applications: 0
+            },
+            waterStressFactor: 1
         };
 
         // Reset simulation status
         this.simulationDate = null;
         this.history = [];
+        this.irrigationEvents = [];
+        this.phenologyEvents = [];
+        this.stageStress = createStageStress(this.crop.stressStages);
         this.hasStarted = false;
         this.isFinished = false;
 
-        // Re-initialize soil water
+        // Re-initialize soil water and nutrients
         this._initializeSoilWater();
+        this._initializeNutrients();
     }
 }
 
@@ -781,11 +1202,35 @@ class CropParameterBuilder {
             // Leaf parameters
             specificLeafArea: 20, // Specific leaf area (m²/kg)
 
+            // Root parameters (used with layered soils)
+            initialRootingDepth: 0.1, // Rooting depth at planting (m)
+            rootGrowthRate: 0.012, // Root extension until flowering (m/day)
+
             // Water use parameters
             kcMin: 0.4, // Minimum crop coefficient
             kcMax: 1.2, // Maximum crop coefficient
             p: 0.55, // Soil water depletion fraction for no stress
 
+            // Yield formation parameters
+            harvestIndex: 0.45, // Grain share of above-ground biomass without stress (null for non-grain crops)
+            harvestIndexSensitivity: 0.5, // Harvest index reduction per unit of water stress around flowering
+            grainMoisture: 0.125, // Moisture content grain yield is reported at (kg/kg)
+            stressStages: DEFAULT_STRESS_STAGES.map(stage => ({ ...stage })), // Stages of the water-stress summary
+
+            // Nutrient parameters (used when nutrient-limited)
+            nutrients: {
+                // Maximum concentrations per organ (kg/kg)
+                concentrations: {
+                    N: { leaves: 0.035, stems: 0.015, roots: 0.012, organs: 0.018 },
+                    P: { leaves: 0.004, stems: 0.002, roots: 0.0015, organs: 0.004 },
+                    K: { leaves: 0.03, stems: 0.03, roots: 0.015, organs: 0.005 }
+                },
+                criticalFraction: 0.8, // Share of the maximum below which growth is reduced
+                residualFraction: 0.3, // Share of the maximum left in senesced or starved tissue
+                useEfficiency: 1.1, // Sensitivity of assimilation to the nutrition index
+                nitrogenFixation: 0 // Share of N demand met by biological fixation (legumes)
+            },
+
             // Partitioning parameters (example with table approach)
             partitioning: [
                 { stage: 0, leaves: 0.6, stems: 0.2, roots: 0.2, organs: 0 },
@@ -865,6 +1310,41 @@ class CropParameterBuilder {
         return this;
     }
 
+    setYieldParameters(harvestIndex, harvestIndexSensitivity, grainMoisture) {
+        this.params.harvestIndex = harvestIndex;
+        this.params.harvestIndexSensitivity = harvestIndexSensitivity;
+        this.params.grainMoisture = grainMoisture;
+        return this;
+    }
+
+    /**
+     * Set the stages the water-stress summary is split into
+     * @param {Array<{name: string, untilStage: number}>} stages - In order, the last one until stage 2
+     */
+    setStressStages(stages) {
+        this.params.stressStages = stages;
+        return this;
+    }
+
+    setRootParameters(initialRootingDepth, rootGrowthRate) {
+        this.params.initialRootingDepth = initialRootingDepth;
+        this.params.rootGrowthRate = rootGrowthRate;
+        return this;
+    }
+
+    /**
+     * Set nutrient parameters; keys not given keep their current values
+     * @param {Object} nutrients - concentrations ({N, P, K} per organ, kg/kg), criticalFraction,
+     *   residualFraction, useEfficiency and nitrogenFixation
+     */
+    setNutrientParameters(nutrients) {
+        this.params.nutrients = {
+            ...this.params.nutrients,
+            ...nutrients
+        };
+        return this;
+    }
+
     /**
      * Set partitioning parameters using table approach
      * @param {Array} partitioningTable - Array of objects with stage and organ partitioning values
@@ -894,4 +1374,11 @@ class CropParameterBuilder {
     build() {
         return this.params;
     }
-}
\ No newline at end of file
+}
+
+module.exports = {
+    CHECKPOINT_VERSION,
+    PRODUCTION_LEVELS,
+    Wofost,
+    CropParameterBuilder
+};
@@ -0,0 +1,231 @@
+/**
+ * WOFOST 7.2 Model - Data Assimilation
+ *
+ * Ensemble Kalman filter (EnKF) that corrects simulated leaf area with observed LAI:
+ * - ensemble members are clones of the model with perturbed crop parameters
+ * - on each observation date the LAI and biomass pools of every member are updated with the
+ *   Kalman gain from the ensemble covariances, against a perturbed copy of the observation
+ * - each update moves a state variable by at most a share of its ensemble mean, so a single
+ *   outlying observation cannot wipe out or multiply the canopy
+ * - an unperturbed open-loop run is kept alongside for comparison
+ * NDVI observations are converted to LAI with the inverted Beer-Lambert relation.
+ */
+
+const { createRandom } = require('./random');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// State variables updated by the filter; LAI is the observed one
+const ASSIMILATED_STATE = ['leafAreaIndex', 'leaves', 'stems', 'organs'];
+
+// Relative standard deviations of the crop parameters perturbed across the ensemble
+const DEFAULT_PERTURBATIONS = {
+    RUE: 0.1,
+    specificLeafArea: 0.1,
+    initialBiomass: 0.2
+};
+
+// Largest change of a state variable in one update, as a share of its ensemble mean
+const DEFAULT_MAX_RELATIVE_UPDATE = 0.5;
+
+/**
+ * LAI from NDVI by inverting NDVI = NDVImax - (NDVImax - NDVIsoil) * exp(-k * LAI).
+ * @param {number} ndvi
+ * @param {Object} [options]
+ * @param {number} [options.k=0.5] - Extinction coefficient
+ * @param {number} [options.ndviSoil=0.15] - NDVI of bare soil
+ * @param {number} [options.ndviMax=0.9] - NDVI of a full canopy
+ * @param {number} [options.maxLai=8]
+ * @returns {number}
+ */
+function ndviToLai(ndvi, { k = 0.5, ndviSoil = 0.15, ndviMax = 0.9, maxLai = 8 } = {}) {
+    if (ndvi <= ndviSoil) return 0;
+    if (ndvi >= ndviMax) return maxLai;
+    return Math.min(maxLai, -Math.log((ndviMax - ndvi) / (ndviMax - ndviSoil)) / k);
+}
+
+/**
+ * Standard normal deviates from a seeded uniform generator (Box-Muller).
+ * @param {Function} random - Generator from createRandom
+ * @returns {Function}
+ */
+function createGaussian(random) {
+    return () => {
+        const u = 1 - random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+function toDayString(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Observations as LAI keyed by day.
+ * @param {Array<{date: string, lai?: number, ndvi?: number}>} observations
+ * @param {Object} [ndviOptions] - Options for ndviToLai
+ * @returns {Map<string, {lai: number, source: string, ndvi?: number}>}
+ */
+function observationsByDay(observations, ndviOptions) {
+    return new Map(observations.map(observation => [
+        toDayString(observation.date),
+        observation.lai !== undefined
+            ? { lai: observation.lai, source: 'lai' }
+            : { lai: ndviToLai(observation.ndvi, ndviOptions), source: 'ndvi', ndvi: observation.ndvi }
+    ]));
+}
+
+/**
+ * Kalman update of every member against one LAI observation.
+ * @param {Array<Wofost>} members
+ * @param {number} observedLai
+ * @param {number} observationStdDev
+ * @param {Function} gaussian
+ * @param {number} maxRelativeUpdate - Largest change per state variable as a share of its ensemble mean
+ * @returns {{prior: number, posterior: number, gain: number, cappedMembers: number}} Ensemble mean LAI before
+ *   and after, the LAI gain and the number of members whose update was capped
+ */
+function updateEnsemble(members, observedLai, observationStdDev, gaussian, maxRelativeUpdate) {
+    const states = members.map(member => ASSIMILATED_STATE.map(key => member.state[key]));
+    const predicted = states.map(state => state[0]);
+    const predictedMean = mean(predicted);
+    const stateMeans = ASSIMILATED_STATE.map((key, j) => mean(states.map(state => state[j])));
+
+    // Covariance of each state variable with the predicted observation (LAI)
+    const covariances = stateMeans.map((stateMean, j) =>
+        states.reduce((sum, state, i) => sum + (state[j] - stateMean) * (predicted[i] - predictedMean), 0) / (members.length - 1)
+    );
+    const variance = covariances[0];
+    const gains = covariances.map(covariance => covariance / (variance + observationStdDev ** 2));
+
+    const maxChanges = stateMeans.map(stateMean => maxRelativeUpdate * Math.abs(stateMean));
+    let cappedMembers = 0;
+    members.forEach((member, i) => {
+        const innovation = observedLai + observationStdDev * gaussian() - predicted[i];
+        const changes = gains.map(gain => gain * innovation);
+        if (changes.some((change, j) => Math.abs(change) > maxChanges[j])) cappedMembers++;
+
+        member.updateState(Object.fromEntries(ASSIMILATED_STATE.map((key, j) => [
+            key,
+            states[i][j] + Math.max(-maxChanges[j], Math.min(maxChanges[j], changes[j]))
+        ])));
+    });
+
+    return {
+        prior: predictedMean,
+        posterior: mean(members.map(member => member.state.leafAreaIndex)),
+        gain: gains[0],
+        cappedMembers
+    };
+}
+
+function summarizeEnsemble(members, date) {
+    const values = key => members.map(member => member.state[key]);
+    return {
+        date,
+        leafAreaIndex: mean(values('leafAreaIndex')),
+        leafAreaIndexStdDev: standardDeviation(values('leafAreaIndex')),
+        totalAboveGroundBiomass: mean(values('totalAboveGroundBiomass')),
+        organs: mean(values('organs')),
+        organsStdDev: standardDeviation(values('organs')),
+        developmentStage: mean(values('developmentStage'))
+    };
+}
+
+function summarizeModel(model, date) {
+    const { leafAreaIndex, totalAboveGroundBiomass, organs, developmentStage } = model.state;
+    return { date, leafAreaIndex, totalAboveGroundBiomass, organs, developmentStage };
+}
+
+/**
+ * Run an open-loop simulation and an EnKF-assimilated ensemble side by side.
+ * @param {Wofost} model - Unstarted model with the planting date in its management parameters
+ * @param {Array} weatherData - Daily weather from the planting date
+ * @param {Array<{date: string, lai?: number, ndvi?: number}>} observations
+ * @param {Object} [options]
+ * @param {number} [options.ensembleSize=30]
+ * @param {number} [options.seed=42]
+ * @param {Object} [options.perturbations] - Relative standard deviation per crop parameter
+ * @param {number} [options.observationError=0.15] - Relative LAI observation error
+ * @param {number} [options.minObservationError=0.1] - Smallest LAI observation error (m²/m²)
+ * @param {number} [options.maxRelativeUpdate=0.5] - Largest change of a state variable in one update,
+ *   as a share of its ensemble mean
+ * @param {Object} [options.ndvi] - Options for ndviToLai
+ * @param {number} [options.days] - Days to simulate (default all weather)
+ * @returns {{openLoop: Array, assimilated: Array, observations: Array}}
+ */
+function runEnsembleKalmanFilter(model, weatherData, observations, {
+    ensembleSize = 30,
+    seed = 42,
+    perturbations = DEFAULT_PERTURBATIONS,
+    observationError = 0.15,
+    minObservationError = 0.1,
+    maxRelativeUpdate = DEFAULT_MAX_RELATIVE_UPDATE,
+    ndvi,
+    days = weatherData.length
+} = {}) {
+    const gaussian = createGaussian(createRandom(seed));
+    const members = Array.from({ length: ensembleSize }, () => model.clone({
+        crop: Object.fromEntries(Object.entries(perturbations)
+            .filter(([key]) => typeof model.crop[key] === 'number')
+            .map(([key, sd]) => [key, model.crop[key] * Math.max(0.1, 1 + sd * gaussian())]))
+    }));
+    const openLoop = model.clone();
+    const observed = observationsByDay(observations, ndvi);
+    const plantingDate = model.management.plantingDate;
+
+    const openLoopTrajectory = [];
+    const assimilatedTrajectory = [];
+    const assimilationLog = [];
+
+    const record = date => {
+        const observation = observed.get(date);
+        const active = members.filter(member => !member.isFinished);
+        if (observation && active.length > 1) {
+            const observationStdDev = Math.max(minObservationError, observation.lai * observationError);
+            assimilationLog.push({
+                date,
+                ...observation,
+                observationStdDev,
+                ...updateEnsemble(active, observation.lai, observationStdDev, gaussian, maxRelativeUpdate),
+                openLoop: openLoop.state.leafAreaIndex
+            });
+        }
+        openLoopTrajectory.push(summarizeModel(openLoop, date));
+        assimilatedTrajectory.push(summarizeEnsemble(members, date));
+    };
+
+    openLoop.start(plantingDate);
+    members.forEach(member => member.start(plantingDate));
+    record(toDayString(plantingDate));
+
+    for (let i = 0; i < Math.min(days, weatherData.length); i++) {
+        const models = [openLoop, ...members].filter(member => !member.isFinished);
+        if (!models.length) break;
+
+        models.forEach(member => member.run(1, [weatherData[i]]));
+        record(toDayString(new Date(plantingDate).getTime() + (i + 1) * DAY_MS));
+    }
+
+    return {
+        openLoop: openLoopTrajectory,
+        assimilated: assimilatedTrajectory,
+        observations: assimilationLog
+    };
+}
+
+module.exports = {
+    DEFAULT_PERTURBATIONS,
+    DEFAULT_MAX_RELATIVE_UPDATE,
+    ndviToLai,
+    runEnsembleKalmanFilter
+};
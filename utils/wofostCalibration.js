@@ -0,0 +1,167 @@
+/**
+ * WOFOST 7.2 Model - Parameter Calibration
+ *
+ * Fits crop parameters to observed yields and phenology dates with differential evolution
+ * (DE/rand/1/bin). The search is seeded, so the same inputs and seed give the same fit.
+ * Parameters are top-level numeric crop parameters (e.g. floweringTSum, RUE, specificLeafArea)
+ * or `partitioning.organs`, a factor on the storage organ share of the partitioning table.
+ */
+
+const { createRandom } = require('./random');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const PARTITIONING_ORGANS = 'partitioning.organs';
+
+/**
+ * Crop parameters with calibrated values applied.
+ * @param {Object} cropParams
+ * @param {Object} values - Parameter name to value
+ * @returns {Object}
+ */
+function applyParameters(cropParams, values) {
+    const params = { ...cropParams };
+    for (const [name, value] of Object.entries(values)) {
+        if (name === PARTITIONING_ORGANS) {
+            params.partitioning = scaleOrganPartitioning(cropParams.partitioning, value);
+        } else {
+            params[name] = value;
+        }
+    }
+    return params;
+}
+
+/**
+ * Scale the storage organ share of each partitioning row, taking the difference
+ * proportionally from the other organs so every row still sums to 1.
+ * @param {Array} table
+ * @param {number} factor
+ * @returns {Array}
+ */
+function scaleOrganPartitioning(table, factor) {
+    if (!Array.isArray(table)) {
+        throw new Error(`${PARTITIONING_ORGANS} can only be calibrated with a partitioning table`);
+    }
+    return table.map(row => {
+        const organs = Math.min(1, row.organs * factor);
+        const others = row.leaves + row.stems + row.roots;
+        const scale = others > 0 ? (1 - organs) / others : 0;
+        return {
+            stage: row.stage,
+            leaves: row.leaves * scale,
+            stems: row.stems * scale,
+            roots: row.roots * scale,
+            organs: others > 0 ? organs : 1
+        };
+    });
+}
+
+/**
+ * Days from planting to the first history entry at or beyond a development stage.
+ * @param {Array} history
+ * @param {number} stage
+ * @returns {number|null} null if the stage was not reached
+ */
+function daysToStage(history, stage) {
+    const entry = history.find(day => day.developmentStage >= stage);
+    return entry ? Math.round((new Date(entry.date) - new Date(history[0].date)) / DAY_MS) : null;
+}
+
+/**
+ * Error statistics of simulated against observed values; pairs with a missing value are skipped.
+ * @param {Array<{observed: number, simulated: number}>} pairs
+ * @returns {{n: number, rmse: number, mae: number, bias: number, r2: number|null}|null}
+ */
+function fitStatistics(pairs) {
+    const valid = pairs.filter(({ observed, simulated }) => observed !== undefined && observed !== null &&
+        simulated !== undefined && simulated !== null);
+    if (!valid.length) return null;
+
+    const n = valid.length;
+    const errors = valid.map(({ observed, simulated }) => simulated - observed);
+    const observedMean = valid.reduce((sum, { observed }) => sum + observed, 0) / n;
+    const totalSquares = valid.reduce((sum, { observed }) => sum + (observed - observedMean) ** 2, 0);
+    const residualSquares = errors.reduce((sum, error) => sum + error ** 2, 0);
+
+    return {
+        n,
+        rmse: Math.sqrt(residualSquares / n),
+        mae: errors.reduce((sum, error) => sum + Math.abs(error), 0) / n,
+        bias: errors.reduce((sum, error) => sum + error, 0) / n,
+        r2: totalSquares > 0 ? 1 - residualSquares / totalSquares : null
+    };
+}
+
+/**
+ * Minimize an objective over a box with differential evolution.
+ * @param {Function} objective - Receives an array of values, returns a cost
+ * @param {Array<{min: number, max: number}>} bounds
+ * @param {Object} [options]
+ * @param {Array<number>} [options.initial] - Starting point included in the first population
+ * @param {number} [options.populationSize=15]
+ * @param {number} [options.generations=30]
+ * @param {number} [options.mutation=0.7] - Differential weight F
+ * @param {number} [options.crossover=0.9] - Crossover probability CR
+ * @param {number} [options.tolerance=1e-6] - Stop once the population's cost range is below this
+ * @param {number} [options.seed=42]
+ * @returns {{best: Array<number>, cost: number, generations: number, evaluations: number}}
+ */
+function differentialEvolution(objective, bounds, {
+    initial,
+    populationSize = 15,
+    generations = 30,
+    mutation = 0.7,
+    crossover = 0.9,
+    tolerance = 1e-6,
+    seed = 42
+} = {}) {
+    const random = createRandom(seed);
+    const clip = (value, { min, max }) => Math.min(max, Math.max(min, value));
+    const size = Math.max(4, populationSize);
+
+    const population = Array.from({ length: size }, (_, i) => (i === 0 && initial
+        ? initial.map((value, j) => clip(value, bounds[j]))
+        : bounds.map(({ min, max }) => min + random() * (max - min))));
+    const costs = population.map(member => objective(member));
+    let evaluations = size;
+
+    let generation = 0;
+    for (; generation < generations; generation++) {
+        if (Math.max(...costs) - Math.min(...costs) < tolerance) break;
+
+        for (let i = 0; i < size; i++) {
+            const [a, b, c] = pickDistinct(size, i, random).map(index => population[index]);
+            const forced = Math.floor(random() * bounds.length);
+            const trial = bounds.map((bound, j) => (j === forced || random() < crossover
+                ? clip(a[j] + mutation * (b[j] - c[j]), bound)
+                : population[i][j]));
+
+            const cost = objective(trial);
+            evaluations++;
+            if (cost <= costs[i]) {
+                population[i] = trial;
+                costs[i] = cost;
+            }
+        }
+    }
+
+    const bestIndex = costs.indexOf(Math.min(...costs));
+    return { best: population[bestIndex], cost: costs[bestIndex], generations: generation, evaluations };
+}
+
+function pickDistinct(size, exclude, random) {
+    const picked = [];
+    while (picked.length < 3) {
+        const index = Math.floor(random() * size);
+        if (index !== exclude && !picked.includes(index)) picked.push(index);
+    }
+    return picked;
+}
+
+module.exports = {
+    PARTITIONING_ORGANS,
+    applyParameters,
+    daysToStage,
+    fitStatistics,
+    differentialEvolution
+};
@@ -0,0 +1,284 @@
+/**
+ * WOFOST 7.2 Model - Crop Profile Library
+ *
+ * Named, versioned crop parameter sets for the main Zimbabwean field crops.
+ * Temperature sums are effective degree-days above `baseTemperature`, counted from planting.
+ * RUE is expressed per MJ of total (not photosynthetically active) solar radiation.
+ * Values are starting points for typical Zimbabwean conditions and should be calibrated
+ * against local trials before being relied on for a specific variety. Each description gives
+ * the yield range attainable under good management that the profile was checked against, using
+ * potential production over a highveld main season (winter for wheat).
+ */
+
+const { Wofost, CropParameterBuilder } = require('./wofost');
+const { ValidationError } = require('./errors');
+
+const CROP_LIBRARY_VERSION = '1.0.0';
+
+// Parameter groups merged key by key, so an override may change a single organ's value
+const NESTED_CROP_PARAMS = ['maintenanceCoef', 'conversionEfficiency', 'nutrients'];
+
+const CEREAL_PARTITIONING = [
+    { stage: 0, leaves: 0.55, stems: 0.2, roots: 0.25, organs: 0 },
+    { stage: 0.5, leaves: 0.45, stems: 0.4, roots: 0.15, organs: 0 },
+    { stage: 1, leaves: 0.1, stems: 0.35, roots: 0.05, organs: 0.5 },
+    { stage: 1.3, leaves: 0, stems: 0.05, roots: 0, organs: 0.95 },
+    { stage: 2, leaves: 0, stems: 0, roots: 0, organs: 1 }
+];
+
+// Legumes: richer in N, with most of it fixed rather than taken up from the soil
+const LEGUME_NUTRIENTS = {
+    concentrations: {
+        N: { leaves: 0.045, stems: 0.02, roots: 0.02, organs: 0.055 },
+        P: { leaves: 0.004, stems: 0.002, roots: 0.002, organs: 0.005 },
+        K: { leaves: 0.025, stems: 0.025, roots: 0.015, organs: 0.012 }
+    },
+    criticalFraction: 0.8,
+    residualFraction: 0.3,
+    useEfficiency: 1.1,
+    nitrogenFixation: 0.6
+};
+
+const LEGUME_PARTITIONING = [
+    { stage: 0, leaves: 0.6, stems: 0.15, roots: 0.25, organs: 0 },
+    { stage: 0.6, leaves: 0.5, stems: 0.3, roots: 0.1, organs: 0.1 },
+    { stage: 1, leaves: 0.2, stems: 0.2, roots: 0.05, organs: 0.55 },
+    { stage: 1.4, leaves: 0, stems: 0.05, roots: 0, organs: 0.95 },
+    { stage: 2, leaves: 0, stems: 0, roots: 0, organs: 1 }
+];
+
+/**
+ * Profile definitions. `build` receives a CropParameterBuilder holding the generic defaults.
+ */
+const CROP_PROFILES = [
+    {
+        name: 'generic',
+        version: '1.0.0',
+        description: 'CropParameterBuilder defaults, not tuned to any crop',
+        build: builder => builder.setCropIdentity('generic', '', '')
+    },
+    {
+        name: 'maize-short',
+        version: '1.0.0',
+        description: 'Short-season (early maturing) maize, about 120 days in the main season; 5-7 t/ha grain',
+        build: builder => maize(builder, 'short season', 700, 1300)
+    },
+    {
+        name: 'maize-medium',
+        version: '1.0.0',
+        description: 'Medium-season maize, about 145 days in the main season; 6-9 t/ha grain',
+        build: builder => maize(builder, 'medium season', 820, 1550)
+    },
+    {
+        name: 'maize-long',
+        version: '1.0.0',
+        description: 'Long-season (late maturing) maize, about 165 days in the main season; 7-10 t/ha grain',
+        build: builder => maize(builder, 'long season', 920, 1700)
+    },
+    {
+        name: 'sorghum',
+        version: '1.0.0',
+        description: 'Grain sorghum for the drier regions, about 130 days; 3-5 t/ha grain',
+        build: builder => builder
+            .setCropIdentity('sorghum', 'grain sorghum', 'cereals')
+            .setPhenology(10, 90, 780, 1400)
+            .setPhotosynthesis(1.5, 0.6, 'C4')
+            .setTemperatureResponse(10, 26, 42)
+            .setLeafParameters(25)
+            .setWaterUseParameters(0.3, 1.1, 0.55)
+            .setYieldParameters(0.4, 0.6, 0.125)
+            .setPartitioningTable(CEREAL_PARTITIONING)
+    },
+    {
+        name: 'pearl-millet',
+        version: '1.0.0',
+        description: 'Pearl millet (mhunga) for low-rainfall areas, about 105 days; 1.5-3 t/ha grain',
+        build: builder => builder
+            .setCropIdentity('pearl millet', 'mhunga', 'cereals')
+            .setPhenology(10, 80, 620, 1150)
+            .setPhotosynthesis(1.5, 0.55, 'C4')
+            .setTemperatureResponse(10, 27, 44)
+            .setLeafParameters(28)
+            .setWaterUseParameters(0.3, 1.0, 0.55)
+            .setYieldParameters(0.35, 0.6, 0.125)
+            .setPartitioningTable(CEREAL_PARTITIONING)
+    },
+    {
+        name: 'groundnut',
+        version: '1.0.0',
+        description: 'Groundnut, about 135 days; pods are the storage organs; 2-4 t/ha pods',
+        build: builder => builder
+            .setCropIdentity('groundnut', 'bunch type', 'legumes')
+            .setPhenology(10, 100, 600, 1450)
+            .setPhotosynthesis(1.2, 0.55, 'C3')
+            .setTemperatureResponse(10, 25, 40)
+            .setLeafParameters(28)
+            .setWaterUseParameters(0.4, 1.15, 0.5)
+            .setYieldParameters(0.45, 0.4, 0.08)
+            .setPartitioningTable(LEGUME_PARTITIONING)
+            .setNutrientParameters(LEGUME_NUTRIENTS)
+    },
+    {
+        name: 'soybean',
+        version: '1.0.0',
+        description: 'Soybean, medium maturity group, about 140 days; 2.5-4 t/ha grain',
+        build: builder => builder
+            .setCropIdentity('soybean', 'medium maturity', 'legumes')
+            .setPhenology(10, 90, 700, 1500)
+            .setPhotosynthesis(1.2, 0.55, 'C3')
+            .setTemperatureResponse(10, 25, 40)
+            .setLeafParameters(28)
+            .setWaterUseParameters(0.4, 1.15, 0.5)
+            .setYieldParameters(0.4, 0.5, 0.13)
+            .setPartitioningTable(LEGUME_PARTITIONING)
+            .setNutrientParameters(LEGUME_NUTRIENTS)
+    },
+    {
+        name: 'cotton',
+        version: '1.0.0',
+        description: 'Rain-fed cotton, about 200 days from a November planting; bolls are the storage organs; 1.5-3.5 t/ha seed cotton',
+        build: builder => builder
+            .setCropIdentity('cotton', 'rain-fed', 'fibre crops')
+            .setPhenology(12, 80, 650, 1500)
+            .setPhotosynthesis(1.3, 0.6, 'C3')
+            .setTemperatureResponse(12, 26, 40)
+            .setLeafParameters(22)
+            .setWaterUseParameters(0.35, 1.2, 0.65)
+            .setYieldParameters(0.35, 0.4, 0.08)
+            .setPartitioningTable([
+                { stage: 0, leaves: 0.55, stems: 0.2, roots: 0.25, organs: 0 },
+                { stage: 0.8, leaves: 0.4, stems: 0.4, roots: 0.1, organs: 0.1 },
+                { stage: 1.2, leaves: 0.15, stems: 0.2, roots: 0.05, organs: 0.6 },
+                { stage: 2, leaves: 0, stems: 0, roots: 0, organs: 1 }
+            ])
+    },
+    {
+        name: 'tobacco',
+        version: '1.0.0',
+        description: 'Flue-cured tobacco from transplanting; the harvested product is leaf weight, so there is no grain yield; 2.5-4 t/ha leaf',
+        build: builder => builder
+            .setCropIdentity('tobacco', 'flue-cured', 'leaf crops')
+            .setPhenology(10, 50, 900, 1500)
+            .setInitialState(0.05, 150)
+            .setPhotosynthesis(1.1, 0.6, 'C3')
+            .setTemperatureResponse(10, 27, 38)
+            .setLeafParameters(25)
+            .setWaterUseParameters(0.4, 1.1, 0.5)
+            .setYieldParameters(null, 0, 0)
+            .setPartitioningTable([
+                { stage: 0, leaves: 0.65, stems: 0.15, roots: 0.2, organs: 0 },
+                { stage: 1, leaves: 0.6, stems: 0.3, roots: 0.1, organs: 0 },
+                { stage: 2, leaves: 0.5, stems: 0.3, roots: 0.05, organs: 0.15 }
+            ])
+    },
+    {
+        name: 'wheat',
+        version: '1.0.0',
+        description: 'Irrigated winter wheat, planted in May, about 130 days; 5-7 t/ha grain',
+        build: builder => builder
+            .setCropIdentity('wheat', 'irrigated winter', 'cereals')
+            .setPhenology(0, 120, 1100, 1800)
+            .setPhotosynthesis(1.6, 0.6, 'C3')
+            .setTemperatureResponse(0, 17, 32)
+            .setLeafParameters(22)
+            .setWaterUseParameters(0.3, 1.15, 0.55)
+            .setYieldParameters(0.45, 0.6, 0.125)
+            .setPartitioningTable(CEREAL_PARTITIONING)
+    }
+];
+
+function maize(builder, varietyName, floweringTSum, maturityTSum) {
+    return builder
+        .setCropIdentity('maize', varietyName, 'cereals')
+        .setPhenology(10, 90, floweringTSum, maturityTSum)
+        .setPhotosynthesis(1.7, 0.6, 'C4')
+        .setTemperatureResponse(8, 24, 42)
+        .setLeafParameters(22)
+        .setWaterUseParameters(0.3, 1.2, 0.55)
+        .setYieldParameters(0.5, 0.8, 0.125)
+        .setPartitioningTable(CEREAL_PARTITIONING);
+}
+
+function compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] || 0) - (right[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Find a profile definition by reference: `name` for the latest version or `name@version`.
+ * @param {string} reference
+ * @returns {Object}
+ */
+function findCropProfile(reference) {
+    const [name, version] = String(reference).trim().toLowerCase().split('@');
+    const candidates = CROP_PROFILES
+        .filter(profile => profile.name === name && (!version || profile.version === version))
+        .sort((a, b) => compareVersions(b.version, a.version));
+
+    if (!candidates.length) {
+        const available = [...new Set(CROP_PROFILES.map(profile => profile.name))].join(', ');
+        throw new ValidationError(`Unknown crop profile '${reference}'. Available profiles: ${available}`);
+    }
+    return candidates[0];
+}
+
+/**
+ * Summary of every profile in the library.
+ * @returns {Array<{name: string, version: string, cropName: string, varietyName: string, description: string}>}
+ */
+function listCropProfiles() {
+    return CROP_PROFILES.map(profile => {
+        const { cropName, varietyName } = profile.build(new CropParameterBuilder()).build();
+        return {
+            name: profile.name,
+            version: profile.version,
+            cropName,
+            varietyName,
+            description: profile.description
+        };
+    });
+}
+
+/**
+ * Crop parameters for a named profile with caller overrides applied.
+ * Top-level parameters are replaced; maintenance and conversion coefficients are merged per organ.
+ * @param {string} reference - Profile name, optionally with `@version`
+ * @param {Object} [overrides] - Crop parameters replacing the profile's values
+ * @returns {Object} Parameters for the Wofost constructor, tagged with `profile` and `profileVersion`
+ */
+function loadCropProfile(reference, overrides = {}) {
+    const profile = findCropProfile(reference);
+    const base = profile.build(new CropParameterBuilder()).build();
+
+    const params = { ...base, ...overrides };
+    for (const key of NESTED_CROP_PARAMS) {
+        if (overrides[key]) params[key] = { ...base[key], ...overrides[key] };
+    }
+    params.profile = profile.name;
+    params.profileVersion = profile.version;
+    return params;
+}
+
+/**
+ * Create a Wofost model for a named crop profile.
+ * @param {string} reference - Profile name, optionally with `@version`
+ * @param {Object} soilParams
+ * @param {Object} managementParams
+ * @param {Object} [overrides] - Crop parameters replacing the profile's values
+ * @returns {Wofost}
+ */
+function createWofostFromProfile(reference, soilParams, managementParams, overrides = {}) {
+    return new Wofost(loadCropProfile(reference, overrides), soilParams, managementParams);
+}
+
+module.exports = {
+    CROP_LIBRARY_VERSION,
+    listCropProfiles,
+    loadCropProfile,
+    createWofostFromProfile
+};
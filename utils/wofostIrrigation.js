@@ -0,0 +1,92 @@
+/**
+ * WOFOST 7.2 Model - Rule-based Irrigation
+ *
+ * Decides each day's irrigation from the root-zone water state:
+ * - depletion: refill to field capacity once depletion reaches a fraction of total available water (TAW)
+ * - interval: irrigate every `intervalDays` from planting, a fixed amount or a refill to field capacity
+ * - deficit: depletion thresholds and refill fractions that change with development stage
+ * Every mode respects the seasonal water budget and the optional per-application limit.
+ */
+
+const IRRIGATION_MODES = ['depletion', 'interval', 'deficit'];
+
+/**
+ * Irrigation rules
+ * @typedef {Object} IrrigationRules
+ * @property {string} mode - 'depletion', 'interval' or 'deficit'
+ * @property {number} [threshold] - Depletion fraction of TAW that triggers irrigation (depletion mode, default 0.5)
+ * @property {number} [intervalDays] - Days between applications (interval mode)
+ * @property {number} [amount] - Depth per application (mm) (interval mode, optional, default refill to field capacity)
+ * @property {Array<{untilStage: number, threshold: number, refill: number}>} [stages] - Deficit mode thresholds
+ *   and the fraction of the depletion refilled, applying up to each development stage
+ * @property {number} [seasonalBudget] - Most water applied over the season (mm) (optional)
+ * @property {number} [maxApplication] - Most water per application (mm) (optional)
+ * @property {number} [stopAtStage] - Development stage after which irrigation stops (optional, default 2)
+ */
+
+/**
+ * Depletion of the root zone below field capacity (mm) and total available water (mm).
+ * @param {Object} soilWater - Root-zone water state
+ * @returns {{depletion: number, totalAvailableWater: number}}
+ */
+function rootZoneDepletion(soilWater) {
+    return {
+        depletion: Math.max(0, soilWater.field_capacity - soilWater.content),
+        totalAvailableWater: soilWater.field_capacity - soilWater.wilting_point
+    };
+}
+
+/**
+ * Deficit-mode settings for a development stage.
+ * @param {Array} stages
+ * @param {number} developmentStage
+ * @returns {Object}
+ */
+function stageSettings(stages, developmentStage) {
+    return stages.find(stage => developmentStage < stage.untilStage) || stages[stages.length - 1];
+}
+
+/**
+ * Irrigation the rules call for today (mm), before the seasonal budget is applied.
+ * @param {IrrigationRules} rules
+ * @param {Object} context
+ * @param {Object} context.soilWater - Root-zone water state
+ * @param {number} context.developmentStage
+ * @param {number} context.daysSincePlanting
+ * @returns {number}
+ */
+function requiredIrrigation(rules, { soilWater, developmentStage, daysSincePlanting }) {
+    if (developmentStage >= (rules.stopAtStage ?? 2)) return 0;
+
+    const { depletion, totalAvailableWater } = rootZoneDepletion(soilWater);
+
+    switch (rules.mode) {
+    case 'depletion':
+        return depletion >= (rules.threshold ?? 0.5) * totalAvailableWater ? depletion : 0;
+    case 'interval':
+        return daysSincePlanting % rules.intervalDays === 0 ? rules.amount ?? depletion : 0;
+    case 'deficit': {
+        const { threshold, refill } = stageSettings(rules.stages, developmentStage);
+        return depletion >= threshold * totalAvailableWater ? depletion * refill : 0;
+    }
+    default:
+        throw new Error(`Unknown irrigation mode '${rules.mode}'`);
+    }
+}
+
+/**
+ * Today's rule-based irrigation, limited per application and by what is left of the budget.
+ * @param {IrrigationRules} rules
+ * @param {Object} context - As for requiredIrrigation, plus `appliedToDate` (mm)
+ * @returns {number} mm
+ */
+function ruleIrrigationAmount(rules, context) {
+    const required = Math.min(requiredIrrigation(rules, context), rules.maxApplication ?? Infinity);
+    const remainingBudget = Math.max(0, (rules.seasonalBudget ?? Infinity) - context.appliedToDate);
+    return Math.min(required, remainingBudget);
+}
+
+module.exports = {
+    IRRIGATION_MODES,
+    ruleIrrigationAmount
+};
@@ -0,0 +1,165 @@
+/**
+ * WOFOST 7.2 Model - Nutrient (N/P/K) Limitation
+ *
+ * Simplified WOFOST-NPK approach:
+ * - each nutrient has a soil pool of plant-available nutrient, fed by daily mineralization
+ *   and by fertilizer events times their recovery fraction
+ * - crop demand is what the living organs need to reach their maximum concentrations;
+ *   legumes meet part of their N demand by fixation, and uptake covers the rest
+ *   as far as the soil pool allows
+ * - the nutrition index compares the crop's content with its critical and residual contents,
+ *   and the least available nutrient sets the reduction on assimilation
+ * - nutrients in senescing leaves are lost at the residual leaf concentration
+ *
+ * Amounts are kg/ha and concentrations kg nutrient per kg dry matter.
+ */
+
+const NUTRIENTS = ['N', 'P', 'K'];
+
+const ORGANS = ['leaves', 'stems', 'roots', 'organs'];
+
+// Plant-available amount at planting and daily mineralization (kg/ha) of a low-fertility smallholder soil
+const DEFAULT_SOIL_NUTRIENTS = {
+    N: { initial: 20, mineralization: 0.4 },
+    P: { initial: 5, mineralization: 0.05 },
+    K: { initial: 40, mineralization: 0.3 }
+};
+
+// Share of applied fertilizer the crop can recover
+const DEFAULT_RECOVERY = { N: 0.6, P: 0.25, K: 0.6 };
+
+/**
+ * Fertilizer event
+ * @typedef {Object} FertilizerEvent
+ * @property {string|Date} [date] - Application date (optional for basal dressings, which default to the planting date)
+ * @property {string} [type] - 'basal' or 'top-dress' (optional, default 'basal')
+ * @property {number} [N] - Nitrogen applied (kg/ha)
+ * @property {number} [P] - Phosphorus applied (kg/ha)
+ * @property {number} [K] - Potassium applied (kg/ha)
+ * @property {Object} [recovery] - Recovery fraction per nutrient, overriding the defaults
+ */
+
+/**
+ * Nutrient content (kg/ha) of the living crop at given concentrations.
+ * @param {Object} organWeights - Dry weight per organ (kg/ha)
+ * @param {Object} concentrations - Concentration per organ
+ * @returns {number}
+ */
+function cropContent(organWeights, concentrations) {
+    return ORGANS.reduce((sum, organ) => sum + (organWeights[organ] || 0) * concentrations[organ], 0);
+}
+
+/**
+ * Initial nutrient state: soil pools from soil parameters and, once the crop has emerged,
+ * a crop content at the maximum concentrations.
+ * @param {Object} [soilNutrients] - Per nutrient `{initial, mineralization}` (kg/ha, kg/ha/day)
+ * @returns {Object}
+ */
+function createNutrientState(soilNutrients = {}) {
+    const state = { index: 1, stressFactor: 1, limitingNutrient: null };
+    for (const nutrient of NUTRIENTS) {
+        const soil = { ...DEFAULT_SOIL_NUTRIENTS[nutrient], ...soilNutrients[nutrient] };
+        state[nutrient] = {
+            soil: soil.initial, // Plant-available amount in the soil (kg/ha)
+            crop: 0, // Amount in the crop (kg/ha)
+            applied: 0, // Fertilizer applied to date (kg/ha)
+            uptake: 0, // Uptake from the soil to date (kg/ha)
+            fixed: 0, // Biological fixation to date (kg/ha)
+            index: 1 // Nutrition index (0-1)
+        };
+    }
+    return state;
+}
+
+/**
+ * Fill the crop's nutrient content at emergence.
+ * @param {Object} nutrients - Nutrient state
+ * @param {Object} organWeights
+ * @param {Object} cropNutrients - Crop nutrient parameters (`concentrations` per nutrient)
+ */
+function initializeCropNutrients(nutrients, organWeights, cropNutrients) {
+    for (const nutrient of NUTRIENTS) {
+        nutrients[nutrient].crop = cropContent(organWeights, cropNutrients.concentrations[nutrient]);
+    }
+}
+
+/**
+ * Fertilizer applied on a day, after recovery (kg/ha per nutrient).
+ * @param {Array<FertilizerEvent>} events
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} plantingDay - YYYY-MM-DD, the date of undated basal dressings
+ * @returns {{applied: Object, recovered: Object}}
+ */
+function fertilizerForDay(events, day, plantingDay) {
+    const applied = { N: 0, P: 0, K: 0 };
+    const recovered = { N: 0, P: 0, K: 0 };
+    for (const event of events || []) {
+        const eventDay = event.date ? new Date(event.date).toISOString().split('T')[0] : plantingDay;
+        if (eventDay !== day) continue;
+
+        for (const nutrient of NUTRIENTS) {
+            const amount = event[nutrient] || 0;
+            applied[nutrient] += amount;
+            recovered[nutrient] += amount * (event.recovery?.[nutrient] ?? DEFAULT_RECOVERY[nutrient]);
+        }
+    }
+    return { applied, recovered };
+}
+
+/**
+ * Advance the nutrient balance by one day and compute the stress factor on assimilation.
+ * @param {Object} nutrients - Nutrient state, updated in place
+ * @param {Object} inputs
+ * @param {Object} inputs.organWeights - Living organ weights (kg/ha)
+ * @param {number} inputs.senescedLeaves - Leaf weight that died since the last step (kg/ha)
+ * @param {Object} inputs.fertilizer - Result of fertilizerForDay
+ * @param {Object} inputs.soilNutrients - Soil nutrient parameters (mineralization per nutrient)
+ * @param {Object} inputs.cropNutrients - Crop nutrient parameters
+ * @returns {Object} The updated nutrient state
+ */
+function stepNutrients(nutrients, { organWeights, senescedLeaves, fertilizer, soilNutrients = {}, cropNutrients }) {
+    const { concentrations, criticalFraction, residualFraction, useEfficiency, nitrogenFixation = 0 } = cropNutrients;
+    let lowest = { nutrient: null, index: 1 };
+
+    for (const nutrient of NUTRIENTS) {
+        const pool = nutrients[nutrient];
+        const organConcentrations = concentrations[nutrient];
+        const mineralization = soilNutrients[nutrient]?.mineralization ?? DEFAULT_SOIL_NUTRIENTS[nutrient].mineralization;
+
+        pool.soil += mineralization + fertilizer.recovered[nutrient];
+        pool.applied += fertilizer.applied[nutrient];
+        pool.crop = Math.max(0, pool.crop - senescedLeaves * organConcentrations.leaves * residualFraction);
+
+        const maximum = cropContent(organWeights, organConcentrations);
+        const demand = Math.max(0, maximum - pool.crop);
+        const fixed = nutrient === 'N' ? demand * nitrogenFixation : 0;
+        const uptake = Math.min(demand - fixed, pool.soil);
+        pool.soil -= uptake;
+        pool.crop += fixed + uptake;
+        pool.uptake += uptake;
+        pool.fixed += fixed;
+
+        const critical = maximum * criticalFraction;
+        const residual = maximum * residualFraction;
+        pool.index = critical > residual
+            ? Math.max(0, Math.min(1, (pool.crop - residual) / (critical - residual)))
+            : 1;
+
+        if (pool.index < lowest.index) lowest = { nutrient, index: pool.index };
+    }
+
+    nutrients.index = lowest.index;
+    nutrients.limitingNutrient = lowest.nutrient;
+    nutrients.stressFactor = Math.max(0, Math.min(1, 1 - useEfficiency * (1 - lowest.index) ** 2));
+    return nutrients;
+}
+
+module.exports = {
+    NUTRIENTS,
+    DEFAULT_SOIL_NUTRIENTS,
+    DEFAULT_RECOVERY,
+    createNutrientState,
+    initializeCropNutrients,
+    fertilizerForDay,
+    stepNutrients
+};
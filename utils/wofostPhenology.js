@@ -0,0 +1,121 @@
+/**
+ * WOFOST 7.2 Model - Phenology Events and Yield Formation
+ *
+ * - dated emergence, flowering and maturity events as the crop reaches them
+ * - a water-stress summary per crop stage (vegetative, around flowering, grain filling)
+ * - grain yield from a harvest index reduced by water stress in the stage around flowering
+ */
+
+// Effective temperature sum or development stage at which each event occurs
+const PHENOLOGY_EVENTS = [
+    { name: 'emergence', isReached: (state, crop) => state.temperature.effectiveSum >= crop.emergenceTSum },
+    { name: 'flowering', isReached: state => state.developmentStage >= 1 },
+    { name: 'maturity', isReached: state => state.developmentStage >= 2 }
+];
+
+// Stages the water-stress summary is split into, each lasting until a development stage
+const DEFAULT_STRESS_STAGES = [
+    { name: 'vegetative', untilStage: 0.8 },
+    { name: 'flowering', untilStage: 1.2 },
+    { name: 'grainFilling', untilStage: 2 }
+];
+
+// Days with a water stress factor below this count as stress days
+const STRESS_DAY_THRESHOLD = 0.8;
+
+/**
+ * Events reached by the current state that are not recorded yet.
+ * @param {Object} state - Model state
+ * @param {Object} crop - Crop parameters
+ * @param {Array<{event: string}>} recorded - Events recorded so far
+ * @returns {Array<string>} Event names, in order
+ */
+function newPhenologyEvents(state, crop, recorded) {
+    return PHENOLOGY_EVENTS
+        .filter(({ name, isReached }) => !recorded.some(entry => entry.event === name) && isReached(state, crop))
+        .map(({ name }) => name);
+}
+
+/**
+ * Empty water-stress accumulators, one per stage.
+ * @param {Array<{name: string, untilStage: number}>} [stages]
+ * @returns {Array<Object>}
+ */
+function createStageStress(stages = DEFAULT_STRESS_STAGES) {
+    return stages.map(({ name, untilStage }, i) => ({
+        name,
+        fromStage: i === 0 ? 0 : stages[i - 1].untilStage,
+        untilStage,
+        days: 0,
+        stressDays: 0,
+        stressFactorSum: 0,
+        minStressFactor: 1
+    }));
+}
+
+/**
+ * Add one day's water stress factor to the stage the crop is in.
+ * @param {Array<Object>} stageStress - Accumulators from createStageStress
+ * @param {number} developmentStage
+ * @param {number} stressFactor - 1 without stress, 0 for full stress
+ */
+function recordStageStress(stageStress, developmentStage, stressFactor) {
+    const stage = stageStress.find(entry => developmentStage < entry.untilStage) || stageStress[stageStress.length - 1];
+    stage.days++;
+    stage.stressFactorSum += stressFactor;
+    stage.minStressFactor = Math.min(stage.minStressFactor, stressFactor);
+    if (stressFactor < STRESS_DAY_THRESHOLD) stage.stressDays++;
+}
+
+/**
+ * Water-stress summary per stage.
+ * @param {Array<Object>} stageStress
+ * @returns {Array<{name: string, fromStage: number, untilStage: number, days: number, stressDays: number,
+ *   meanStressFactor: number|null, minStressFactor: number|null}>}
+ */
+function summarizeStageStress(stageStress) {
+    return stageStress.map(({ name, fromStage, untilStage, days, stressDays, stressFactorSum, minStressFactor }) => ({
+        name,
+        fromStage,
+        untilStage,
+        days,
+        stressDays,
+        meanStressFactor: days ? stressFactorSum / days : null,
+        minStressFactor: days ? minStressFactor : null
+    }));
+}
+
+/**
+ * Grain yield as a harvest index times above-ground biomass. The harvest index drops with the
+ * mean water stress of the stage that contains flowering (development stage 1).
+ * @param {Object} crop - harvestIndex, harvestIndexSensitivity and grainMoisture
+ * @param {number} aboveGroundBiomass - Including dead leaves (kg/ha)
+ * @param {Array<Object>} stageStress
+ * @returns {{referenceHarvestIndex: number, harvestIndex: number, dryMatter: number, moistureContent: number,
+ *   atMoisture: number}}
+ */
+function harvestIndexYield(crop, aboveGroundBiomass, stageStress) {
+    const { harvestIndex, harvestIndexSensitivity = 0, grainMoisture = 0 } = crop;
+    const flowering = stageStress.find(stage => stage.fromStage <= 1 && 1 < stage.untilStage);
+    const stressFactor = flowering?.days ? flowering.stressFactorSum / flowering.days : 1;
+    const adjusted = harvestIndex * Math.max(0, 1 - harvestIndexSensitivity * (1 - stressFactor));
+    const dryMatter = adjusted * aboveGroundBiomass;
+
+    return {
+        referenceHarvestIndex: harvestIndex,
+        harvestIndex: adjusted,
+        dryMatter,
+        moistureContent: grainMoisture,
+        atMoisture: dryMatter / (1 - grainMoisture)
+    };
+}
+
+module.exports = {
+    DEFAULT_STRESS_STAGES,
+    STRESS_DAY_THRESHOLD,
+    newPhenologyEvents,
+    createStageStress,
+    recordStageStress,
+    summarizeStageStress,
+    harvestIndexYield
+};
@@ -0,0 +1,208 @@
+/**
+ * WOFOST 7.2 Model - Layered Soil Water Balance
+ *
+ * Tipping-bucket water balance over a stack of soil layers:
+ * - rainfall runoff from the SCS curve number method, plus saturation excess at the surface
+ * - infiltration cascading down through layers, each draining water above field capacity
+ *   at up to its saturated conductivity; what leaves the bottom layer is deep drainage
+ * - optional capillary rise from a water table into the lowest rooted layer
+ * - evapotranspiration taken from the rooted part of each layer in proportion to its available water
+ *
+ * Layer water contents are kept in mm so they can live in the serializable model state.
+ */
+
+const DEFAULT_CURVE_NUMBER = 75;
+const DEFAULT_KSAT = 100; // mm/day
+const DEFAULT_MAX_CAPILLARY_RISE = 3; // mm/day with the water table at the bottom of the root zone
+const CAPILLARY_DECAY_LENGTH = 0.5; // m over which capillary rise falls by a factor e
+
+/**
+ * Soil layer parameters
+ * @typedef {Object} SoilLayer
+ * @property {number} thickness - Layer thickness (m)
+ * @property {number} fieldCapacity - Volumetric water content at field capacity (m³/m³)
+ * @property {number} wiltingPoint - Volumetric water content at wilting point (m³/m³)
+ * @property {number} saturation - Volumetric water content at saturation (m³/m³)
+ * @property {number} [initialWaterContent] - Initial volumetric water content (m³/m³) (optional, defaults to fieldCapacity)
+ * @property {number} [ksat] - Saturated hydraulic conductivity (mm/day) (optional, default 100)
+ */
+
+/**
+ * Convert layer parameters to mm of water per layer with depths from the surface.
+ * @param {Object} soilParams - Soil parameters with `soilLayers`
+ * @returns {Object} Soil profile used by the other functions
+ */
+function createSoilProfile(soilParams) {
+    const { soilLayers, maxRootingDepth, curveNumber, groundwaterDepth, maxCapillaryRise } = soilParams;
+    if (!Array.isArray(soilLayers) || !soilLayers.length) {
+        throw new Error('soilLayers must be a non-empty array');
+    }
+
+    let top = 0;
+    const layers = soilLayers.map((layer, i) => {
+        const { thickness, fieldCapacity, wiltingPoint, saturation } = layer;
+        if (!(thickness > 0) || !(wiltingPoint < fieldCapacity) || !(fieldCapacity <= saturation)) {
+            throw new Error(`Soil layer ${i} needs thickness > 0 and wiltingPoint < fieldCapacity <= saturation`);
+        }
+        const mm = thickness * 1000;
+        const profileLayer = {
+            top,
+            bottom: top + thickness,
+            thickness,
+            fieldCapacity: fieldCapacity * mm,
+            wiltingPoint: wiltingPoint * mm,
+            saturation: saturation * mm,
+            initialContent: (layer.initialWaterContent ?? fieldCapacity) * mm,
+            ksat: layer.ksat ?? DEFAULT_KSAT
+        };
+        top += thickness;
+        return profileLayer;
+    });
+
+    return {
+        layers,
+        depth: top,
+        maxRootingDepth: Math.min(maxRootingDepth ?? top, top),
+        curveNumber: curveNumber ?? DEFAULT_CURVE_NUMBER,
+        groundwaterDepth,
+        maxCapillaryRise: maxCapillaryRise ?? DEFAULT_MAX_CAPILLARY_RISE
+    };
+}
+
+/**
+ * Initial water content of each layer (mm).
+ * @param {Object} profile
+ * @returns {Array<number>}
+ */
+function initialLayerContents(profile) {
+    return profile.layers.map(layer => layer.initialContent);
+}
+
+/**
+ * Share of each layer's thickness lying within the root zone.
+ * @param {Object} profile
+ * @param {number} rootingDepth - m
+ * @returns {Array<number>}
+ */
+function rootedFractions(profile, rootingDepth) {
+    return profile.layers.map(layer =>
+        Math.max(0, Math.min(1, (rootingDepth - layer.top) / layer.thickness))
+    );
+}
+
+/**
+ * Water held in the root zone and its limits, all in mm.
+ * @param {Object} profile
+ * @param {Array<number>} contents
+ * @param {number} rootingDepth - m
+ * @returns {{content: number, field_capacity: number, wilting_point: number, saturation: number}}
+ */
+function rootZoneWater(profile, contents, rootingDepth) {
+    const fractions = rootedFractions(profile, rootingDepth);
+    const sum = values => values.reduce((total, value, i) => total + value * fractions[i], 0);
+    return {
+        content: sum(contents),
+        field_capacity: sum(profile.layers.map(layer => layer.fieldCapacity)),
+        wilting_point: sum(profile.layers.map(layer => layer.wiltingPoint)),
+        saturation: sum(profile.layers.map(layer => layer.saturation))
+    };
+}
+
+/**
+ * SCS curve number runoff for one day's rainfall.
+ * @param {number} rainfall - mm
+ * @param {number} curveNumber
+ * @returns {number} Runoff (mm)
+ */
+function curveNumberRunoff(rainfall, curveNumber) {
+    const retention = 25400 / curveNumber - 254;
+    const initialAbstraction = 0.2 * retention;
+    if (rainfall <= initialAbstraction) return 0;
+    return (rainfall - initialAbstraction) ** 2 / (rainfall - initialAbstraction + retention);
+}
+
+/**
+ * Advance the layered water balance by one day.
+ * @param {Object} profile
+ * @param {Array<number>} contents - Layer water contents (mm) at the start of the day
+ * @param {Object} inputs
+ * @param {number} inputs.rainfall - mm
+ * @param {number} inputs.irrigation - mm, applied without runoff
+ * @param {number} inputs.evapotranspiration - Water demand after stress reduction (mm)
+ * @param {number} inputs.rootingDepth - m
+ * @returns {{contents: Array<number>, fluxes: Object}} New layer contents and the day's fluxes (mm)
+ */
+function stepSoilWater(profile, contents, { rainfall, irrigation, evapotranspiration, rootingDepth }) {
+    const { layers } = profile;
+    const next = [...contents];
+
+    // Surface partitioning
+    const curveNumberExcess = curveNumberRunoff(rainfall, profile.curveNumber);
+    let saturationExcess = 0;
+
+    // Downward cascade; water a layer cannot hold or pass on backs up into the layers above
+    let inflow = rainfall - curveNumberExcess + irrigation;
+    let percolation = 0;
+    for (let i = 0; i < layers.length; i++) {
+        next[i] += inflow;
+        inflow = Math.min(Math.max(0, next[i] - layers[i].fieldCapacity), layers[i].ksat);
+        next[i] -= inflow;
+        if (i < layers.length - 1) percolation += inflow;
+
+        let excess = Math.max(0, next[i] - layers[i].saturation);
+        next[i] -= excess;
+        for (let j = i - 1; j >= 0 && excess > 0; j--) {
+            const room = layers[j].saturation - next[j];
+            const stored = Math.min(room, excess);
+            next[j] += stored;
+            excess -= stored;
+            percolation -= stored;
+        }
+        saturationExcess += excess;
+    }
+    const deepDrainage = inflow;
+
+    // Capillary rise into the lowest rooted layer, fading with distance to the water table
+    let capillaryRise = 0;
+    const fractions = rootedFractions(profile, rootingDepth);
+    const lowest = fractions.reduce((last, fraction, i) => (fraction > 0 ? i : last), -1);
+    if (profile.groundwaterDepth !== undefined && lowest >= 0 && profile.groundwaterDepth > layers[lowest].bottom) {
+        const distance = profile.groundwaterDepth - Math.min(rootingDepth, layers[lowest].bottom);
+        const deficit = Math.max(0, layers[lowest].fieldCapacity - next[lowest]);
+        capillaryRise = Math.min(deficit, profile.maxCapillaryRise * Math.exp(-distance / CAPILLARY_DECAY_LENGTH));
+        next[lowest] += capillaryRise;
+    }
+
+    // Root water uptake and soil evaporation from the rooted part of each layer
+    const available = layers.map((layer, i) => Math.max(0, next[i] - layer.wiltingPoint) * fractions[i]);
+    const totalAvailable = available.reduce((sum, value) => sum + value, 0);
+    const actualET = Math.min(Math.max(0, evapotranspiration), totalAvailable);
+    if (totalAvailable > 0) {
+        available.forEach((value, i) => {
+            next[i] -= actualET * value / totalAvailable;
+        });
+    }
+
+    return {
+        contents: next,
+        fluxes: {
+            rainfall,
+            irrigation,
+            runoff: curveNumberExcess + saturationExcess,
+            infiltration: rainfall - curveNumberExcess - saturationExcess + irrigation,
+            evapotranspiration: actualET,
+            percolation,
+            deepDrainage,
+            capillaryRise
+        }
+    };
+}
+
+module.exports = {
+    createSoilProfile,
+    initialLayerContents,
+    rootedFractions,
+    rootZoneWater,
+    curveNumberRunoff,
+    stepSoilWater
+};
@@ -0,0 +1,33 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const errors = require('./errors');
+
+const WORKER_FILE = path.join(__dirname, '../workers/wofostWorker.js');
+
+/**
+ * Run a task of workers/wofostWorker.js on its own thread.
+ * Errors from utils/errors thrown in the worker are rethrown with the same class, so they keep
+ * their HTTP status.
+ * @param {string} task - 'calibration' or 'scenarios'
+ * @param {Object} payload - Task input; must be structured-cloneable
+ * @returns {Promise<Object>} Task result
+ */
+function runWofostTask(task, payload) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_FILE, { workerData: { task, payload } });
+
+        worker.once('message', ({ success, result, error }) => {
+            if (success) return resolve(result);
+            const ErrorClass = errors[error.type] || Error;
+            const rethrown = new ErrorClass(error.message);
+            rethrown.stack = error.stack;
+            reject(rethrown);
+        });
+        worker.once('error', reject);
+        worker.once('exit', code => {
+            if (code !== 0) reject(new Error(`WOFOST ${task} worker stopped with exit code ${code}`));
+        });
+    });
+}
+
+module.exports = { runWofostTask };
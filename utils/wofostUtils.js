@@ -123,6 +123,36 @@ class WeatherDataCreator {
         return weatherData;
     }
 
+    /**
+     * Write weather data as a CSV string readable by fromCSV
+     * @param {Array} weatherData - Array of weather data objects
+     * @param {Object} options - CSV writing options
+     * @param {Object} [options.columnMapping] - Mapping of weather properties to CSV columns
+     * @returns {string} - CSV string with a header row
+     */
+    static toCSV(weatherData, options = {}) {
+        const columnMapping = options.columnMapping || {
+            date: 'date',
+            Tmin: 'tmin',
+            Tmax: 'tmax',
+            solarRadiation: 'radiation',
+            rainfall: 'rain',
+            ET0: 'et0',
+            humidity: 'rh',
+            windSpeed: 'wind',
+            CO2: 'co2'
+        };
+
+        const properties = Object.keys(columnMapping);
+        const rows = weatherData.map(day => properties.map(prop => {
+            const value = day[prop];
+            if (value === undefined || value === null || Number.isNaN(value)) return '';
+            return prop === 'date' ? new Date(value).toISOString().split('T')[0] : value;
+        }).join(','));
+
+        return [Object.values(columnMapping).join(','), ...rows].join('\n') + '\n';
+    }
+
     /**
      * Calculate reference evapotranspiration (ET0) using FAO Penman-Monteith method
      * @param {Object} weatherData - Weather data without ET0
@@ -207,4 +237,8 @@ class WeatherDataCreator {
             };
         });
     }
-}
\ No newline at end of file
+}
+
+module.exports = {
+    WeatherDataCreator
+};
@@ -0,0 +1,735 @@
+/**
+ * WOFOST 7.2 Model - Weather File Import
+ *
+ * Reads standard crop-model weather files into WOFOST `WeatherData`:
+ * - cabo: CABO/WOFOST station files (`*` comment lines, a `lon lat elev A B` site line, then
+ *   `station year day irrad tmin tmax vap wind rain` rows with -99 for missing values)
+ * - nasa-power: NASA POWER daily CSV exports (header block between -BEGIN HEADER- and -END HEADER-)
+ * - agera5: AgERA5 point CSV exports (native variable names in K, J/m²/day, hPa and 10 m wind)
+ * - wofost-sheet: the PCSE Excel weather sheet saved as CSV (site block, then DAY IRRAD TMIN TMAX VAP WIND RAIN)
+ * Values are converted to °C, MJ/m²/day, mm, % relative humidity and m/s at 2 m; sunshine hours become
+ * radiation with the Ångström coefficients. Implausible values are rejected, gaps are filled and
+ * a validation report is returned with the weather.
+ */
+
+const { WeatherDataCreator } = require('./wofostUtils');
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const WEATHER_FORMATS = ['cabo', 'nasa-power', 'agera5', 'wofost-sheet'];
+
+// FAO-56 log profile conversion of 10 m wind to the 2 m height WOFOST expects
+const WIND_10M_TO_2M = 4.87 / Math.log(67.8 * 10 - 5.42);
+
+// FAO-56 Ångström coefficients used when a file does not give its own
+const DEFAULT_ANGSTROM = { a: 0.25, b: 0.5 };
+
+// Plausible daily ranges; values outside are rejected and then filled like missing values
+const VALID_RANGES = {
+    Tmin: [-50, 50],
+    Tmax: [-40, 60],
+    solarRadiation: [0, 45],
+    rainfall: [0, 500],
+    humidity: [0, 100],
+    windSpeed: [0, 40]
+};
+
+const REQUIRED_FIELDS = ['Tmin', 'Tmax', 'solarRadiation', 'rainfall'];
+
+// Filled by interpolation or climatology; missing rainfall is taken as no rain
+const INTERPOLATED_FIELDS = ['Tmin', 'Tmax', 'solarRadiation', 'humidity', 'windSpeed'];
+
+// Days either side of a date whose values from other years make up its climatology
+const CLIMATOLOGY_WINDOW_DAYS = 3;
+
+const MAX_REPORTED_ISSUES = 100;
+
+function toDayString(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+function dayOfYear(dateStr) {
+    const date = new Date(dateStr);
+    return Math.round((date - Date.UTC(date.getUTCFullYear(), 0, 0)) / DAY_MS);
+}
+
+function median(values) {
+    const sorted = values.filter(value => value !== undefined).sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : undefined;
+}
+
+/**
+ * Number from a cell; blanks, NaN markers and the file's missing-value codes give undefined.
+ * @param {string|number} value
+ * @param {Array<number>} [missingValues]
+ * @returns {number|undefined}
+ */
+function parseNumber(value, missingValues = []) {
+    const text = String(value ?? '').trim();
+    if (text === '' || /^(nan|na|null|-)$/i.test(text)) return undefined;
+
+    const number = Number(text);
+    return Number.isFinite(number) && !missingValues.includes(number) ? number : undefined;
+}
+
+/**
+ * Day string from ISO (YYYY-MM-DD...), YYYYMMDD, YYYY/MM/DD or an Excel serial day number.
+ * @param {string} value
+ * @returns {string|undefined} YYYY-MM-DD
+ */
+function parseDate(value) {
+    const text = String(value ?? '').trim();
+    let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (match) {
+        const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return Number.isNaN(time) ? undefined : toDayString(time);
+    }
+
+    match = text.match(/^\d{5}(\.\d+)?$/);
+    if (match) {
+        // Excel serial days count from 1899-12-30
+        return toDayString(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * DAY_MS);
+    }
+    return undefined;
+}
+
+function dateFromDayOfYear(year, day) {
+    return toDayString(Date.UTC(year, 0, day));
+}
+
+function detectDelimiter(line) {
+    return [';', '\t'].reduce((best, delimiter) =>
+        (line.split(delimiter).length > line.split(best).length ? delimiter : best), ',');
+}
+
+function splitRow(line, delimiter) {
+    return line.split(delimiter).map(value => value.trim().replace(/^"(.*)"$/, '$1').trim());
+}
+
+/**
+ * Rows of a delimited table as objects keyed by lower-case column name.
+ * @param {Array<string>} lines - Header line first
+ * @returns {Array<Object>}
+ */
+function readTable(lines) {
+    const delimiter = detectDelimiter(lines[0]);
+    const columns = splitRow(lines[0], delimiter).map(column => column.toLowerCase());
+    return lines.slice(1).map(line => {
+        const values = splitRow(line, delimiter);
+        return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    });
+}
+
+/**
+ * First of several candidate column names present in a table row.
+ * @param {Object} row
+ * @param {Array<string>} names
+ * @returns {string|undefined}
+ */
+function findColumn(row, names) {
+    return names.find(name => name in row);
+}
+
+/**
+ * Saturation vapour pressure (kPa) at a temperature (°C).
+ * @param {number} temperature
+ * @returns {number}
+ */
+function saturationVapourPressure(temperature) {
+    return 0.6108 * Math.exp(17.27 * temperature / (temperature + 237.3));
+}
+
+/**
+ * Extraterrestrial radiation (MJ/m²/day) and day length (h), FAO-56 equations 21 and 34.
+ * @param {number} latitude - Degrees
+ * @param {number} doy - Day of year
+ * @returns {{radiation: number, dayLength: number}}
+ */
+function extraterrestrialRadiation(latitude, doy) {
+    const phi = latitude * Math.PI / 180;
+    const declination = 0.409 * Math.sin(2 * Math.PI / 365 * doy - 1.39);
+    const sunsetHourAngle = Math.acos(Math.min(1, Math.max(-1, -Math.tan(phi) * Math.tan(declination))));
+    const dr = 1 + 0.033 * Math.cos(2 * Math.PI / 365 * doy);
+
+    return {
+        radiation: 24 * 60 / Math.PI * 0.082 * dr * (sunsetHourAngle * Math.sin(phi) * Math.sin(declination) +
+            Math.cos(phi) * Math.cos(declination) * Math.sin(sunsetHourAngle)),
+        dayLength: 24 / Math.PI * sunsetHourAngle
+    };
+}
+
+/**
+ * Irradiation in kJ/m²/day, or sunshine hours when no value exceeds 24, as WOFOST reads CABO files.
+ * @param {Array<Object>} records - With `irradiation`, replaced by solarRadiation or sunshineHours
+ * @param {Array<string>} conversions
+ * @param {boolean} [isSunshine] - Whether the column holds sunshine hours, detected when omitted
+ */
+function convertIrradiation(records, conversions, isSunshine) {
+    const values = records.map(record => record.irradiation).filter(value => value !== undefined);
+    const sunshine = isSunshine ?? (values.length > 0 && Math.max(...values) <= 24);
+
+    for (const record of records) {
+        if (record.irradiation !== undefined) {
+            if (sunshine) {
+                record.sunshineHours = record.irradiation;
+            } else {
+                record.solarRadiation = record.irradiation / 1000;
+            }
+        }
+        delete record.irradiation;
+    }
+    conversions.push(sunshine
+        ? 'solarRadiation: sunshine hours -> MJ/m²/day (Ångström)'
+        : 'solarRadiation: kJ/m²/day -> MJ/m²/day');
+}
+
+/**
+ * @param {string} text
+ * @returns {{site: Object, records: Array, conversions: Array<string>}}
+ */
+function parseCABO(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('*'));
+    if (lines.length < 2) {
+        throw new ValidationError('CABO weather needs a site line and at least one data row');
+    }
+
+    const [longitude, latitude, elevation, angstromA, angstromB] = lines[0].split(/\s+/).map(Number);
+    if (![longitude, latitude, elevation].every(Number.isFinite)) {
+        throw new ValidationError('The CABO site line must start with longitude, latitude and elevation');
+    }
+
+    const missingValues = [-99, -999, -9999];
+    const records = lines.slice(1).map((line, i) => {
+        const values = line.split(/\s+/);
+        if (values.length < 9) {
+            throw new ValidationError(`CABO data row ${i + 1} has ${values.length} of 9 columns`);
+        }
+        const [year, day, irradiation, Tmin, Tmax, vapourPressure, windSpeed, rainfall] = values.slice(1)
+            .map(value => parseNumber(value, missingValues));
+        if (!Number.isInteger(year) || !Number.isInteger(day)) {
+            throw new ValidationError(`CABO data row ${i + 1} has no valid year and day`);
+        }
+        return { date: dateFromDayOfYear(year, day), irradiation, Tmin, Tmax, vapourPressure, windSpeed, rainfall };
+    });
+
+    const conversions = [];
+    convertIrradiation(records, conversions);
+    conversions.push('humidity: vapour pressure (kPa) -> %');
+
+    return {
+        site: {
+            station: text.match(/^\*+\s*Station name:\s*(.+)$/mi)?.[1]?.trim(),
+            latitude,
+            longitude,
+            elevation,
+            angstrom: angstromA > 0 && angstromB > 0 ? { a: angstromA, b: angstromB } : undefined
+        },
+        records,
+        conversions
+    };
+}
+
+/**
+ * @param {string} text
+ * @returns {{site: Object, records: Array, conversions: Array<string>}}
+ */
+function parseNasaPower(text) {
+    const lines = text.split(/\r?\n/);
+    const begin = lines.findIndex(line => line.includes('-BEGIN HEADER-'));
+    const end = lines.findIndex(line => line.includes('-END HEADER-'));
+    const header = begin !== -1 && end > begin ? lines.slice(begin + 1, end) : [];
+    const headerText = header.join('\n');
+    const body = lines.slice(end + 1).filter(line => line.trim());
+    if (!body.length) {
+        throw new ValidationError('NASA POWER export has no data rows');
+    }
+
+    const location = headerText.match(/Latitude\s+(-?[\d.]+)\s+Longitude\s+(-?[\d.]+)/i);
+    const elevation = headerText.match(/=\s*(-?[\d.]+)\s*meters/i);
+    const missingValue = parseNumber(headerText.match(/availability range:\s*(-?[\d.]+)/i)?.[1]) ?? -999;
+
+    // Parameter lines end with their unit, e.g. "T2M_MAX  MERRA-2 Temperature at 2 Meters Maximum (C)"
+    const units = Object.fromEntries(header
+        .map(line => line.trim().match(/^([A-Z0-9_]+)\s+.*\(([^()]*)\)$/))
+        .filter(Boolean)
+        .map(match => [match[1].toLowerCase(), match[2]]));
+
+    const rows = readTable(body);
+    const first = rows[0];
+    const column = names => findColumn(first, names);
+    const columns = {
+        Tmax: column(['t2m_max']),
+        Tmin: column(['t2m_min']),
+        solarRadiation: column(['allsky_sfc_sw_dwn']),
+        rainfall: column(['prectotcorr', 'prectot', 'prectotcorr_sum']),
+        humidity: column(['rh2m']),
+        dewPoint: column(['t2mdew']),
+        wind2m: column(['ws2m']),
+        wind10m: column(['ws10m'])
+    };
+    const absent = REQUIRED_FIELDS.filter(field => !columns[field]);
+    if (absent.length) {
+        throw new ValidationError(`NASA POWER export is missing the ${absent.join(', ')} parameter(s)`);
+    }
+
+    const conversions = [];
+    const kelvin = field => /^k$/i.test(units[columns[field]] || '');
+    if (kelvin('Tmax') || kelvin('Tmin')) conversions.push('Tmin/Tmax: K -> °C');
+    const radiationFactor = /kw-?hr/i.test(units[columns.solarRadiation] || '') ? 3.6 : 1;
+    if (radiationFactor !== 1) conversions.push('solarRadiation: kWh/m²/day -> MJ/m²/day');
+    if (!columns.humidity && columns.dewPoint) conversions.push('humidity: dew point -> %');
+    if (!columns.wind2m && columns.wind10m) conversions.push('windSpeed: 10 m -> 2 m');
+
+    const records = rows.map((row, i) => {
+        const value = name => (name ? parseNumber(row[name], [missingValue]) : undefined);
+        const temperature = field => {
+            const reading = value(columns[field]);
+            return reading !== undefined && kelvin(field) ? reading - 273.15 : reading;
+        };
+        const year = parseNumber(row.year);
+        const date = row.doy !== undefined
+            ? dateFromDayOfYear(year, parseNumber(row.doy))
+            : parseDate(`${year}-${row.mo}-${row.dy}`);
+        if (!Number.isInteger(year) || !date) {
+            throw new ValidationError(`NASA POWER row ${i + 1} has no valid date`);
+        }
+
+        const dewPoint = value(columns.dewPoint);
+        const wind10m = value(columns.wind10m);
+        const radiation = value(columns.solarRadiation);
+        return {
+            date,
+            Tmin: temperature('Tmin'),
+            Tmax: temperature('Tmax'),
+            solarRadiation: radiation !== undefined ? radiation * radiationFactor : undefined,
+            rainfall: value(columns.rainfall),
+            humidity: value(columns.humidity),
+            vapourPressure: dewPoint !== undefined ? saturationVapourPressure(dewPoint) : undefined,
+            windSpeed: value(columns.wind2m) ?? (wind10m !== undefined ? wind10m * WIND_10M_TO_2M : undefined)
+        };
+    });
+
+    return {
+        site: {
+            latitude: location ? Number(location[1]) : undefined,
+            longitude: location ? Number(location[2]) : undefined,
+            elevation: elevation ? Number(elevation[1]) : undefined
+        },
+        records,
+        conversions
+    };
+}
+
+// AgERA5 variable names, then common short names for the same quantities
+const AGERA5_COLUMNS = {
+    date: ['day', 'date', 'time'],
+    Tmax: ['temperature_air_2m_max_day_time', 'temperature_air_2m_max_24h', 'temperature_max', 'tmax'],
+    Tmin: ['temperature_air_2m_min_night_time', 'temperature_air_2m_min_24h', 'temperature_min', 'tmin'],
+    solarRadiation: ['solar_radiation_flux', 'solar_radiation', 'irradiance'],
+    rainfall: ['precipitation_flux', 'precipitation', 'rain'],
+    vapourPressure: ['vapour_pressure_mean', 'vapour_pressure', 'vap'],
+    windSpeed: ['wind_speed_10m_mean', 'wind_speed', 'wind'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lon']
+};
+
+/**
+ * AgERA5 exports differ in whether units are converted, so units are recognised from the values:
+ * temperatures above 100 are K, radiation above 100 000 is J and above 100 kJ, vapour pressure above 6 is hPa.
+ * Wind is always taken as the 10 m wind AgERA5 provides.
+ * @param {string} text
+ * @returns {{site: Object, records: Array, conversions: Array<string>}}
+ */
+function parseAgERA5(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+    if (lines.length < 2) {
+        throw new ValidationError('AgERA5 export has no data rows');
+    }
+
+    const rows = readTable(lines);
+    const columns = Object.fromEntries(Object.entries(AGERA5_COLUMNS).map(([field, names]) => [field, findColumn(rows[0], names)]));
+    const absent = ['date', ...REQUIRED_FIELDS].filter(field => !columns[field]);
+    if (absent.length) {
+        throw new ValidationError(`AgERA5 export is missing the ${absent.join(', ')} column(s)`);
+    }
+
+    const raw = field => rows.map(row => (columns[field] ? parseNumber(row[columns[field]]) : undefined));
+    const values = Object.fromEntries(['Tmax', 'Tmin', 'solarRadiation', 'rainfall', 'vapourPressure', 'windSpeed', 'latitude', 'longitude']
+        .map(field => [field, raw(field)]));
+
+    const conversions = [];
+    const convert = (field, transform) => {
+        values[field] = values[field].map(value => (value === undefined ? value : transform(value)));
+    };
+    if (median([...values.Tmax, ...values.Tmin]) > 100) {
+        convert('Tmax', value => value - 273.15);
+        convert('Tmin', value => value - 273.15);
+        conversions.push('Tmin/Tmax: K -> °C');
+    }
+    const radiation = median(values.solarRadiation);
+    if (radiation > 100000) {
+        convert('solarRadiation', value => value / 1e6);
+        conversions.push('solarRadiation: J/m²/day -> MJ/m²/day');
+    } else if (radiation > 100) {
+        convert('solarRadiation', value => value / 1000);
+        conversions.push('solarRadiation: kJ/m²/day -> MJ/m²/day');
+    }
+    if (median(values.vapourPressure) > 6) {
+        convert('vapourPressure', value => value / 10);
+        conversions.push('vapourPressure: hPa -> kPa');
+    }
+    if (columns.vapourPressure) conversions.push('humidity: vapour pressure -> %');
+    if (columns.windSpeed) {
+        convert('windSpeed', value => value * WIND_10M_TO_2M);
+        conversions.push('windSpeed: 10 m -> 2 m');
+    }
+
+    const records = rows.map((row, i) => {
+        const date = parseDate(row[columns.date]);
+        if (!date) {
+            throw new ValidationError(`AgERA5 row ${i + 1} has no valid date`);
+        }
+        return {
+            date,
+            Tmin: values.Tmin[i],
+            Tmax: values.Tmax[i],
+            solarRadiation: values.solarRadiation[i],
+            rainfall: values.rainfall[i],
+            vapourPressure: values.vapourPressure[i],
+            windSpeed: values.windSpeed[i]
+        };
+    });
+
+    return {
+        site: { latitude: values.latitude[0], longitude: values.longitude[0] },
+        records,
+        conversions
+    };
+}
+
+/**
+ * The PCSE Excel weather sheet saved as CSV: site rows (Station, Missing values, then a
+ * Longitude/Latitude/Elevation/AngstromA/AngstromB/HasSunshine row followed by its values),
+ * then the DAY IRRAD TMIN TMAX VAP WIND RAIN table with an optional units row.
+ * IRRAD is kJ/m²/day, or sunshine hours when HasSunshine is true.
+ * @param {string} text
+ * @returns {{site: Object, records: Array, conversions: Array<string>}}
+ */
+function parseWofostSheet(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const delimiter = detectDelimiter(lines.find(line => /^"?day"?\s*[,;\t]/i.test(line.trim())) || ',');
+    const rows = lines.map(line => splitRow(line, delimiter));
+    const upper = row => row.map(cell => cell.toUpperCase());
+
+    const tableIndex = rows.findIndex(row => upper(row)[0] === 'DAY' && upper(row).includes('IRRAD'));
+    if (tableIndex === -1) {
+        throw new ValidationError('WOFOST weather sheet has no DAY/IRRAD/TMIN/TMAX/VAP/WIND/RAIN table');
+    }
+
+    const setting = name => rows.slice(0, tableIndex).find(row => row[0].toLowerCase().startsWith(name))?.[1];
+    const siteIndex = rows.slice(0, tableIndex).findIndex(row => upper(row).includes('LATITUDE') && upper(row).includes('LONGITUDE'));
+    const site = {};
+    if (siteIndex !== -1 && rows[siteIndex + 1]) {
+        const names = upper(rows[siteIndex]);
+        const values = rows[siteIndex + 1];
+        const siteValue = name => values[names.indexOf(name)];
+        site.latitude = parseNumber(siteValue('LATITUDE'));
+        site.longitude = parseNumber(siteValue('LONGITUDE'));
+        site.elevation = parseNumber(siteValue('ELEVATION'));
+        const a = parseNumber(siteValue('ANGSTROMA'));
+        const b = parseNumber(siteValue('ANGSTROMB'));
+        site.angstrom = a > 0 && b > 0 ? { a, b } : undefined;
+        site.hasSunshine = /^(true|1|yes)$/i.test(siteValue('HASSUNSHINE') || '');
+    }
+    site.station = setting('station');
+
+    const missingValue = parseNumber(setting('missing'));
+    const missingValues = missingValue !== undefined ? [missingValue] : [-99, -999];
+    const columns = upper(rows[tableIndex]);
+    const records = [];
+    for (const row of rows.slice(tableIndex + 1)) {
+        const date = parseDate(row[0]);
+        if (!date) {
+            // The units row under the header, or a trailing note
+            if (records.length === 0) continue;
+            throw new ValidationError(`WOFOST weather sheet row '${row.join(',')}' has no valid date`);
+        }
+        const value = name => (columns.includes(name) ? parseNumber(row[columns.indexOf(name)], missingValues) : undefined);
+        records.push({
+            date,
+            irradiation: value('IRRAD'),
+            Tmin: value('TMIN'),
+            Tmax: value('TMAX'),
+            vapourPressure: value('VAP'),
+            windSpeed: value('WIND'),
+            rainfall: value('RAIN')
+        });
+    }
+
+    const conversions = [];
+    convertIrradiation(records, conversions, site.hasSunshine);
+    conversions.push('humidity: vapour pressure (kPa) -> %');
+    delete site.hasSunshine;
+    return { site, records, conversions };
+}
+
+const PARSERS = {
+    cabo: parseCABO,
+    'nasa-power': parseNasaPower,
+    agera5: parseAgERA5,
+    'wofost-sheet': parseWofostSheet
+};
+
+/**
+ * Recognise the format of a weather file from its content.
+ * @param {string} text
+ * @returns {string|undefined} One of WEATHER_FORMATS
+ */
+function detectWeatherFormat(text) {
+    if (/-BEGIN HEADER-|NASA\/POWER/i.test(text)) return 'nasa-power';
+    if (/^"?DAY"?\s*[,;\t]\s*"?IRRAD"?/mi.test(text)) return 'wofost-sheet';
+    if (/temperature_air_2m|solar_radiation_flux|agera5/i.test(text)) return 'agera5';
+
+    const firstLine = text.split(/\r?\n/).map(line => line.trim()).find(line => line && !line.startsWith('*'));
+    if (firstLine && /^(-?[\d.]+\s+){4}-?[\d.]+$/.test(firstLine)) return 'cabo';
+    return undefined;
+}
+
+/**
+ * Humidity from vapour pressure and radiation from sunshine hours, once temperatures and the site are known.
+ * @param {Array<Object>} records
+ * @param {Object} site
+ */
+function deriveFields(records, site) {
+    const { a, b } = site.angstrom || DEFAULT_ANGSTROM;
+    for (const record of records) {
+        if (record.humidity === undefined && record.vapourPressure !== undefined &&
+            record.Tmin !== undefined && record.Tmax !== undefined) {
+            const saturated = saturationVapourPressure((record.Tmin + record.Tmax) / 2);
+            record.humidity = Math.min(100, Math.max(0, 100 * record.vapourPressure / saturated));
+        }
+        if (record.solarRadiation === undefined && record.sunshineHours !== undefined) {
+            if (site.latitude === undefined) {
+                throw new ValidationError('Sunshine hours can only be converted to radiation with the site latitude');
+            }
+            const { radiation, dayLength } = extraterrestrialRadiation(site.latitude, dayOfYear(record.date));
+            record.solarRadiation = radiation * (a + b * Math.min(1, record.sunshineHours / dayLength));
+        }
+    }
+}
+
+/**
+ * One record per day from the first to the last date; later duplicates are dropped.
+ * @param {Array<Object>} records
+ * @returns {{days: Array<Object>, duplicates: number, missingDates: number}}
+ */
+function dailySeries(records) {
+    const byDate = new Map();
+    for (const record of records) {
+        if (!byDate.has(record.date)) byDate.set(record.date, record);
+    }
+    const dates = [...byDate.keys()].sort();
+    const start = new Date(dates[0]).getTime();
+    const count = Math.round((new Date(dates[dates.length - 1]).getTime() - start) / DAY_MS) + 1;
+
+    const days = Array.from({ length: count }, (_, i) => {
+        const date = toDayString(start + i * DAY_MS);
+        const record = byDate.get(date);
+        return {
+            date,
+            Tmin: record?.Tmin,
+            Tmax: record?.Tmax,
+            solarRadiation: record?.solarRadiation,
+            rainfall: record?.rainfall,
+            humidity: record?.humidity,
+            windSpeed: record?.windSpeed
+        };
+    });
+    return { days, duplicates: records.length - byDate.size, missingDates: count - byDate.size };
+}
+
+/**
+ * Reject values outside VALID_RANGES and swap Tmin/Tmax given the wrong way round.
+ * @param {Array<Object>} days
+ * @param {Object} stats - Per-field counters
+ * @param {Function} addIssue
+ */
+function checkValues(days, stats, addIssue) {
+    for (const day of days) {
+        for (const [field, [min, max]] of Object.entries(VALID_RANGES)) {
+            const value = day[field];
+            if (value !== undefined && (value < min || value > max)) {
+                addIssue(day.date, field, value, `outside ${min} to ${max}; treated as missing`);
+                day[field] = undefined;
+                stats[field].rejected++;
+            }
+        }
+        if (day.Tmin !== undefined && day.Tmax !== undefined && day.Tmin > day.Tmax) {
+            addIssue(day.date, 'Tmin', day.Tmin, `above Tmax ${day.Tmax}; swapped`);
+            [day.Tmin, day.Tmax] = [day.Tmax, day.Tmin];
+        }
+    }
+}
+
+/**
+ * Mean of a field over the same time of year in other years, from observed values only.
+ * @returns {number|undefined}
+ */
+function climatologyValue(days, observed, index, field) {
+    const target = dayOfYear(days[index].date);
+    const year = days[index].date.slice(0, 4);
+    const isNear = date => {
+        const distance = Math.abs(dayOfYear(date) - target);
+        return Math.min(distance, 365 - distance) <= CLIMATOLOGY_WINDOW_DAYS;
+    };
+    const values = days
+        .filter((day, i) => observed[i] && day.date.slice(0, 4) !== year && isNear(day.date))
+        .map(day => day[field]);
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : undefined;
+}
+
+/**
+ * Fill runs of missing values of a field: linear interpolation for runs of up to
+ * maxInterpolationDays between two values, otherwise the mean of the same dates in other years.
+ * @param {Array<Object>} days
+ * @param {string} field
+ * @param {Object} stats - Counters for the field
+ * @param {number} maxInterpolationDays
+ */
+function fillField(days, field, stats, maxInterpolationDays) {
+    const observed = days.map(day => day[field] !== undefined);
+    let i = 0;
+    while (i < days.length) {
+        if (observed[i]) {
+            i++;
+            continue;
+        }
+        let end = i;
+        while (end < days.length && !observed[end]) end++;
+
+        const before = i > 0 ? days[i - 1][field] : undefined;
+        const after = end < days.length ? days[end][field] : undefined;
+        const length = end - i;
+        for (let j = i; j < end; j++) {
+            if (before !== undefined && after !== undefined && length <= maxInterpolationDays) {
+                days[j][field] = before + (after - before) * (j - i + 1) / (length + 1);
+                stats.interpolated++;
+            } else {
+                const value = climatologyValue(days, observed, j, field);
+                if (value !== undefined) {
+                    days[j][field] = value;
+                    stats.climatology++;
+                } else {
+                    stats.unfilled++;
+                }
+            }
+        }
+        i = end;
+    }
+}
+
+/**
+ * Parse a weather file, convert units, fill gaps and report on the result.
+ * @param {string} text - File content
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of WEATHER_FORMATS, detected from the content when omitted
+ * @param {number} [options.latitude] - Overrides the file's site latitude
+ * @param {number} [options.longitude]
+ * @param {number} [options.elevation]
+ * @param {number} [options.maxInterpolationDays=5] - Longest gap filled by linear interpolation
+ * @returns {{format: string, site: Object, weather: Array, report: Object}}
+ */
+function importWeather(text, { format, latitude, longitude, elevation, maxInterpolationDays = 5 } = {}) {
+    const resolvedFormat = format || detectWeatherFormat(text);
+    if (!PARSERS[resolvedFormat]) {
+        throw new ValidationError(format
+            ? `Unknown weather format '${format}'; expected one of ${WEATHER_FORMATS.join(', ')}`
+            : `Could not recognise the weather format; pass one of ${WEATHER_FORMATS.join(', ')}`);
+    }
+
+    const parsed = PARSERS[resolvedFormat](text);
+    if (!parsed.records.length) {
+        throw new ValidationError('The weather file has no data rows');
+    }
+    const site = {
+        ...parsed.site,
+        ...(latitude !== undefined && { latitude }),
+        ...(longitude !== undefined && { longitude }),
+        ...(elevation !== undefined && { elevation })
+    };
+
+    const issues = [];
+    let issueCount = 0;
+    const addIssue = (date, field, value, issue) => {
+        issueCount++;
+        if (issues.length < MAX_REPORTED_ISSUES) issues.push({ date, field, value, issue });
+    };
+
+    deriveFields(parsed.records, site);
+    const { days, duplicates, missingDates } = dailySeries(parsed.records);
+
+    const fields = [...REQUIRED_FIELDS, 'humidity', 'windSpeed'];
+    const stats = Object.fromEntries(fields.map(field => [field, {
+        missing: days.filter(day => day[field] === undefined).length,
+        rejected: 0,
+        interpolated: 0,
+        climatology: 0,
+        zeroFilled: 0,
+        unfilled: 0
+    }]));
+    checkValues(days, stats, addIssue);
+
+    // Optional fields absent from the whole file are left out rather than reported as gaps
+    const absent = fields.filter(field => days.every(day => day[field] === undefined));
+    for (const field of INTERPOLATED_FIELDS.filter(field => !absent.includes(field))) {
+        fillField(days, field, stats[field], maxInterpolationDays);
+    }
+    if (!absent.includes('rainfall')) {
+        for (const day of days.filter(day => day.rainfall === undefined)) {
+            day.rainfall = 0;
+            stats.rainfall.zeroFilled++;
+        }
+    }
+    for (const field of absent.filter(field => REQUIRED_FIELDS.includes(field))) {
+        stats[field].unfilled = days.length;
+    }
+
+    let et0Computed = 0;
+    const weather = days.map(day => {
+        const complete = REQUIRED_FIELDS.every(field => day[field] !== undefined);
+        let result = Object.fromEntries(Object.entries(day).filter(([, value]) => value !== undefined));
+        if (complete && site.latitude !== undefined && day.humidity !== undefined) {
+            result = WeatherDataCreator.calculateET0([result], site.latitude, site.elevation || 0)[0];
+            et0Computed++;
+        }
+        return result;
+    });
+
+    const incompleteDays = weather.filter(day => REQUIRED_FIELDS.some(field => day[field] === undefined)).length;
+    return {
+        format: resolvedFormat,
+        site,
+        weather,
+        report: {
+            period: { start: days[0].date, end: days[days.length - 1].date, days: days.length },
+            records: parsed.records.length,
+            duplicateDates: duplicates,
+            missingDates,
+            conversions: [...new Set(parsed.conversions)],
+            absentFields: absent,
+            fields: Object.fromEntries(Object.entries(stats).filter(([field]) => !absent.includes(field) || REQUIRED_FIELDS.includes(field))),
+            et0Computed,
+            incompleteDays,
+            complete: incompleteDays === 0,
+            issueCount,
+            issues
+        }
+    };
+}
+
+module.exports = {
+    WEATHER_FORMATS,
+    detectWeatherFormat,
+    importWeather
+};
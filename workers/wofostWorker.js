@@ -0,0 +1,26 @@
+const { parentPort, workerData } = require('worker_threads');
+const WofostCalibrationService = require('../services/wofost.calibration.service');
+const WofostScenarioService = require('../services/wofost.scenario.service');
+
+// CPU-bound simulation loops, run here so they do not block the API's event loop
+const TASKS = {
+    calibration: payload => WofostCalibrationService.fit(payload),
+    scenarios: payload => WofostScenarioService.simulateGrid(payload)
+};
+
+try {
+    const run = TASKS[workerData.task];
+    if (!run) {
+        throw new Error(`Unknown WOFOST task '${workerData.task}'`);
+    }
+    parentPort.postMessage({ success: true, result: run(workerData.payload) });
+} catch (error) {
+    parentPort.postMessage({
+        success: false,
+        error: {
+            message: error.message,
+            stack: error.stack,
+            type: error.name
+        }
+    });
+}